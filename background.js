@@ -0,0 +1,1848 @@
+/*
+ * Arena.ai Plus – Background Service Worker
+ * Copyright (C) 2025 Arena.ai Plus
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ */
+
+// Owns provider fetching, normalization and caching for every arena.ai tab
+// (and the popup), so N open leaderboards share a single download.
+(function () {
+  'use strict';
+
+  // ============================================
+  // Configuration
+  // ============================================
+  const CONFIG = {
+    PROVIDERS: {
+      helicone: {
+        url: 'https://www.helicone.ai/api/llm-costs',
+        name: 'Helicone'
+      },
+      litellm: {
+        url: 'https://raw.githubusercontent.com/BerriAI/litellm/main/model_prices_and_context_window.json',
+        name: 'LiteLLM'
+      },
+      openrouter: {
+        url: 'https://openrouter.ai/api/v1/models',
+        name: 'OpenRouter'
+      }
+    },
+    // Per-model host offerings: /api/v1/models/{author}/{slug}/endpoints
+    OPENROUTER_ENDPOINTS_URL: 'https://openrouter.ai/api/v1/models',
+    ENDPOINT_FETCH_CONCURRENCY: 4,
+    // "consensus" is a virtual provider that loads every real one
+    CONSENSUS_PROVIDER: 'consensus',
+    CONSENSUS_SOURCES: ['openrouter', 'helicone', 'litellm'],
+    // User-defined provider (e.g. a self-hosted LiteLLM proxy), configured in the popup
+    CUSTOM_PROVIDER: 'custom',
+    CUSTOM_PROVIDER_KEY: 'lmarena-custom-provider',
+    ARENA_TAB_PATTERN: 'https://arena.ai/*',
+    CACHE_TTL_KEY: 'lmarena-cache-ttl',
+    PRICE_OVERRIDES_KEY: 'lmarena-price-overrides',
+    HISTORY_RETENTION_KEY: 'lmarena-history-retention',
+    FREE_VARIANTS_KEY: 'lmarena-free-variants',
+    HOST_BASIS_KEY: 'lmarena-openrouter-host',
+    MODEL_MATCHES_KEY: 'lmarena-model-matches',
+    MODEL_ALIASES_KEY: 'lmarena-model-aliases',
+    BUNDLED_ALIASES_PATH: 'aliases.json',
+    DEFAULT_FREE_VARIANTS: 'exclude', // 'exclude' | 'include' OpenRouter ":free" variants
+    DEFAULT_HOST_BASIS: 'headline', // 'headline' | 'cheapest' OpenRouter host
+    PRICE_HISTORY_STORAGE_KEY: 'lmarena-price-history',
+    DEFAULT_HISTORY_RETENTION: 90, // Days of daily price snapshots to keep
+    CACHE_STORAGE_PREFIX: 'lmarena-cache-',
+    // Bump whenever the shape of cached records changes so old caches are refetched
+    CACHE_VERSION: 6,
+    DEFAULT_CACHE_TTL: 6 * 60 * 60 * 1000 // 6 hours
+  };
+
+  let currentCacheTtl = CONFIG.DEFAULT_CACHE_TTL;
+  let currentPriceOverrides = { models: [], vendors: [] };
+  let currentCustomProvider = null;
+  let currentHistoryRetention = CONFIG.DEFAULT_HISTORY_RETENTION;
+  let currentFreeVariants = CONFIG.DEFAULT_FREE_VARIANTS;
+  let currentHostBasis = CONFIG.DEFAULT_HOST_BASIS;
+  let currentModelMatches = {}; // Arena model name -> { provider: provider model id } pinned by the user
+  let currentModelAliases = new Map(); // Normalized Arena model name -> provider model ids added by the user
+
+  async function loadPreferences() {
+    try {
+      const result = await chrome.storage.sync.get([
+        CONFIG.CACHE_TTL_KEY,
+        CONFIG.PRICE_OVERRIDES_KEY,
+        CONFIG.CUSTOM_PROVIDER_KEY,
+        CONFIG.HISTORY_RETENTION_KEY,
+        CONFIG.FREE_VARIANTS_KEY,
+        CONFIG.HOST_BASIS_KEY,
+        CONFIG.MODEL_MATCHES_KEY,
+        CONFIG.MODEL_ALIASES_KEY
+      ]);
+      currentCacheTtl = result[CONFIG.CACHE_TTL_KEY] ?? CONFIG.DEFAULT_CACHE_TTL;
+      currentPriceOverrides = PriceOverrides.normalize(result[CONFIG.PRICE_OVERRIDES_KEY]);
+      currentCustomProvider = normalizeCustomProvider(result[CONFIG.CUSTOM_PROVIDER_KEY]);
+      currentHistoryRetention = result[CONFIG.HISTORY_RETENTION_KEY] ?? CONFIG.DEFAULT_HISTORY_RETENTION;
+      currentFreeVariants = result[CONFIG.FREE_VARIANTS_KEY] || CONFIG.DEFAULT_FREE_VARIANTS;
+      currentHostBasis = result[CONFIG.HOST_BASIS_KEY] || CONFIG.DEFAULT_HOST_BASIS;
+      currentModelMatches = result[CONFIG.MODEL_MATCHES_KEY] || {};
+      currentModelAliases = ModelAliases.normalize(result[CONFIG.MODEL_ALIASES_KEY]);
+    } catch (error) {
+      console.warn('[LMArena Plus] Failed to load preferences:', error);
+      currentCacheTtl = CONFIG.DEFAULT_CACHE_TTL;
+      currentPriceOverrides = PriceOverrides.normalize(null);
+      currentCustomProvider = null;
+      currentHistoryRetention = CONFIG.DEFAULT_HISTORY_RETENTION;
+      currentFreeVariants = CONFIG.DEFAULT_FREE_VARIANTS;
+      currentHostBasis = CONFIG.DEFAULT_HOST_BASIS;
+      currentModelMatches = {};
+      currentModelAliases = new Map();
+    }
+  }
+
+  /**
+   * Validate the popup's custom provider settings. `source` identifies the
+   * URL and field mapping, so data fetched under an older configuration
+   * is never served.
+   * @returns {Object|null} { name, url, listPath, idPath, inputPath, outputPath, unit, source }
+   */
+  function normalizeCustomProvider(value) {
+    if (!value?.url || !value.inputPath || !value.outputPath) return null;
+    const config = {
+      name: value.name || 'Custom provider',
+      url: value.url,
+      listPath: value.listPath || '',
+      idPath: value.idPath || '',
+      inputPath: value.inputPath,
+      outputPath: value.outputPath,
+      unit: value.unit > 0 ? value.unit : 1 // Tokens each price is quoted for
+    };
+    const { name, ...mapping } = config;
+    return { ...config, source: JSON.stringify(mapping) };
+  }
+
+  function getProviderConfig(provider) {
+    if (provider === CONFIG.CUSTOM_PROVIDER) return currentCustomProvider;
+    return CONFIG.PROVIDERS[provider] || null;
+  }
+
+  // Cached data is only valid for the URL (and mapping) it was fetched with
+  function getProviderSource(config) {
+    return config.source || config.url;
+  }
+
+  // The worker can be started by any message, so every handler waits for this first
+  const preferencesReady = loadPreferences();
+
+  chrome.storage.onChanged.addListener((changes, areaName) => {
+    if (areaName !== 'sync') return;
+    if (changes[CONFIG.CACHE_TTL_KEY]) {
+      currentCacheTtl = changes[CONFIG.CACHE_TTL_KEY].newValue ?? CONFIG.DEFAULT_CACHE_TTL;
+    }
+    if (changes[CONFIG.PRICE_OVERRIDES_KEY]) {
+      currentPriceOverrides = PriceOverrides.normalize(changes[CONFIG.PRICE_OVERRIDES_KEY].newValue);
+      // Tabs re-resolve only after the new overrides are in place here
+      notifyArenaTabs({ type: 'PRICE_OVERRIDES_CHANGED' });
+    }
+    if (changes[CONFIG.HISTORY_RETENTION_KEY]) {
+      currentHistoryRetention = changes[CONFIG.HISTORY_RETENTION_KEY].newValue ?? CONFIG.DEFAULT_HISTORY_RETENTION;
+    }
+    if (changes[CONFIG.MODEL_MATCHES_KEY]) {
+      currentModelMatches = changes[CONFIG.MODEL_MATCHES_KEY].newValue || {};
+      notifyArenaTabs({ type: 'MODEL_MATCHES_CHANGED' });
+    }
+    if (changes[CONFIG.MODEL_ALIASES_KEY]) {
+      currentModelAliases = ModelAliases.normalize(changes[CONFIG.MODEL_ALIASES_KEY].newValue);
+      notifyArenaTabs({ type: 'MODEL_ALIASES_CHANGED' });
+    }
+    if (changes[CONFIG.FREE_VARIANTS_KEY]) {
+      currentFreeVariants = changes[CONFIG.FREE_VARIANTS_KEY].newValue || CONFIG.DEFAULT_FREE_VARIANTS;
+      notifyArenaTabs({ type: 'PROVIDER_DATA_UPDATED', provider: 'openrouter' });
+    }
+    if (changes[CONFIG.HOST_BASIS_KEY]) {
+      currentHostBasis = changes[CONFIG.HOST_BASIS_KEY].newValue || CONFIG.DEFAULT_HOST_BASIS;
+      // Hosts weren't fetched for the headline basis; looking up again queues them
+      if (currentHostBasis === 'cheapest') {
+        notifyArenaTabs({ type: 'PROVIDER_DATA_UPDATED', provider: 'openrouter' });
+      }
+    }
+    if (changes[CONFIG.CUSTOM_PROVIDER_KEY]) {
+      currentCustomProvider = normalizeCustomProvider(changes[CONFIG.CUSTOM_PROVIDER_KEY].newValue);
+      // Lookups notice the changed source and refetch; tabs take the new name for their labels
+      notifyArenaTabs({
+        type: 'PROVIDER_DATA_UPDATED',
+        provider: CONFIG.CUSTOM_PROVIDER,
+        name: currentCustomProvider?.name || null
+      });
+    }
+  });
+
+  // ============================================
+  // Model Matcher Utility (Shared by all services)
+  // ============================================
+  // Characters that may follow a matched key inside a longer name
+  const KEY_SEPARATORS = new Set(['-', '.', '/', ':']);
+  const acceptAll = () => true;
+
+  // Provider maps are built in one go and replaced, never mutated, on
+  // refresh, so an index stays valid for as long as its map is alive
+  const matchIndexes = new WeakMap();
+
+  const ModelMatcher = {
+    /**
+     * Normalize a model name for matching.
+     * Handles URL encoding, version separators, and whitespace.
+     */
+    normalizeModelName(name) {
+      if (!name) return '';
+      return name
+        .toLowerCase()
+        .replace(/%3a/gi, ':')
+        // Normalize versions: 4-5 -> 4.5, 3_5 -> 3.5 (only between single digits)
+        .replace(/(^|[^0-9])(\d)[-_](\d)(?![0-9])/g, '$1$2.$3')
+        .replace(/\s+/g, '-')
+        .trim();
+    },
+
+    /**
+     * Check if a character position represents a version number continuation.
+     * This prevents gpt-4 from matching gpt-4.5
+     */
+    _isVersionContinuation(str, pos, key) {
+      const charAfter = str[pos];
+      const charAfterPlus1 = str[pos + 1];
+      return (charAfter === '.' || charAfter === '-') &&
+        charAfterPlus1 >= '0' && charAfterPlus1 <= '9' &&
+        key[key.length - 1] >= '0' && key[key.length - 1] <= '9';
+    },
+
+    /**
+     * Strip common suffixes like -preview, -beta, -latest
+     */
+    _stripSuffixes(normalized) {
+      return normalized
+        .replace(/[.-](preview|beta|latest|v\d+)(\b|$)/gi, '')
+        .replace(/[.-]\d{8}(\b|$)/g, '');
+    },
+
+    /**
+     * Strip date patterns like -20250929
+     */
+    _stripDates(normalized) {
+      return normalized
+        .replace(/[.-]20\d{6}(?=[.-]|$)/g, '')
+        .replace(/--+/g, '-')
+        .replace(/[.-]$/, '')
+        .trim();
+    },
+
+    /**
+     * Strip thinking variants like (thinking-minimal), -thinking-32k
+     */
+    _stripThinking(normalized) {
+      return normalized
+        .replace(/\(thinking[^)]*\)/g, '')
+        .replace(/[.-]thinking(-[a-z0-9]+)*$/i, '')
+        .replace(/[.-]thinking$/i, '')
+        .replace(/--+/g, '-')
+        .replace(/[.-]$/, '')
+        .trim();
+    },
+
+    /**
+     * Core matching logic: find best match in a map using prefix/suffix matching.
+     * @param {Map} map - The map to search in
+     * @param {string} searchTerm - The normalized search term
+     * @param {boolean} checkOperators - Whether to check operator-based matching (for Helicone)
+     * @param {Function} accept - Entries it returns false for are never matched
+     * @returns {{entry: any, method: string, key: string}|null} The matched entry,
+     *   how it matched ('exact' | 'operator' | 'prefix' | 'suffix') and the map key
+     */
+    _findMatchInMap(map, searchTerm, checkOperators = false, accept = acceptAll) {
+      const index = this._getIndex(map);
+
+      // 1. Exact match
+      if (map.has(searchTerm) && accept(map.get(searchTerm))) {
+        return { entry: map.get(searchTerm), method: 'exact', key: searchTerm };
+      }
+
+      // 2. Operator-based matching (Helicone data only)
+      if (checkOperators) {
+        let operatorMatch = null;
+        let operatorMatchLength = 0;
+        for (const [key, entry] of index.operators) {
+          if (!accept(entry)) continue;
+          if (entry.operator === 'includes' && searchTerm.includes(key)) {
+            if (key.length > operatorMatchLength) {
+              operatorMatch = { entry, method: 'operator', key };
+              operatorMatchLength = key.length;
+            }
+          }
+          if (entry.operator === 'startsWith' && searchTerm.startsWith(key)) {
+            if (key.length > operatorMatchLength) {
+              operatorMatch = { entry, method: 'operator', key };
+              operatorMatchLength = key.length;
+            }
+          }
+        }
+        if (operatorMatch) return operatorMatch;
+      }
+
+      // 3. Prefix matching - search term starts with key.
+      // Every candidate key is a leading slice of the search term, longest first
+      for (let length = searchTerm.length; length >= 0; length--) {
+        const key = searchTerm.slice(0, length);
+        if (!map.has(key)) continue;
+        const entry = map.get(key);
+        if (!accept(entry)) continue;
+        const charAfterKey = searchTerm[length];
+        if (charAfterKey === undefined ||
+          (KEY_SEPARATORS.has(charAfterKey) && !this._isVersionContinuation(searchTerm, length, key))) {
+          return { entry, method: 'prefix', key };
+        }
+      }
+
+      // 4. Suffix matching - key starts with search term.
+      // Those keys sit next to each other in sorted order; the shortest wins,
+      // and between equally long keys the one the provider listed first
+      const { sortedKeys, order } = index;
+      let shortestMatch = null;
+
+      for (let i = this._lowerBound(sortedKeys, searchTerm); i < sortedKeys.length; i++) {
+        const key = sortedKeys[i];
+        if (!key.startsWith(searchTerm)) break;
+        if (!KEY_SEPARATORS.has(key[searchTerm.length])) continue;
+        if (shortestMatch && (key.length > shortestMatch.key.length ||
+          (key.length === shortestMatch.key.length && order.get(key) > order.get(shortestMatch.key)))) continue;
+        const entry = map.get(key);
+        if (accept(entry)) {
+          shortestMatch = { entry, method: 'suffix', key };
+        }
+      }
+
+      return shortestMatch;
+    },
+
+    /**
+     * Lookup structures for a provider map, built on its first match:
+     * keys in sorted order for the suffix scan, each key's position in the
+     * map (to break ties the way a plain scan would), Helicone's operator
+     * rules, and a memo of heuristic results per Arena name.
+     */
+    _getIndex(map) {
+      let index = matchIndexes.get(map);
+      if (!index) {
+        const order = new Map();
+        const operators = [];
+        for (const [key, entry] of map) {
+          order.set(key, order.size);
+          if (entry.operator === 'includes' || entry.operator === 'startsWith') {
+            operators.push([key, entry]);
+          }
+        }
+        index = { sortedKeys: [...map.keys()].sort(), order, operators, memo: new Map() };
+        matchIndexes.set(map, index);
+      }
+      return index;
+    },
+
+    // First position in a sorted array whose value is >= value
+    _lowerBound(sorted, value) {
+      let low = 0;
+      let high = sorted.length;
+      while (low < high) {
+        const mid = (low + high) >> 1;
+        if (sorted[mid] < value) low = mid + 1;
+        else high = mid;
+      }
+      return low;
+    },
+
+    /**
+     * Find the best match for a model name in a map.
+     * Tries multiple normalization strategies in order.
+     * @param {Map} map - The map to search in
+     * @param {string} modelName - The original model name
+     * @param {Object} options - Options: { checkOperators: boolean, accept: entry => boolean }
+     * @returns {any} The matched entry or null
+     */
+    findMatch(map, modelName, options = {}) {
+      return this.match(map, modelName, options)?.entry ?? null;
+    },
+
+    /**
+     * Like findMatch, but also reports how the entry was found, for the
+     * tooltips' match explanation and the low-confidence cell marker.
+     * @returns {{entry: any, match: {method: string, transform: string|null,
+     *   key: string, confidence: string}}|null}
+     */
+    match(map, modelName, options = {}) {
+      const checkOperators = options.checkOperators || false;
+      const accept = options.accept || acceptAll;
+
+      // Aliases name the provider id outright, so they win over the heuristics.
+      // They can change at any time, so only the heuristic result is memoized
+      const aliased = ModelAliases.find(map, modelName, accept);
+      if (aliased) return aliased;
+
+      // Callers reuse one accept function per purpose, so it can key the memo
+      const { memo } = this._getIndex(map);
+      if (!memo.has(accept)) memo.set(accept, new Map());
+      const results = memo.get(accept);
+      const memoKey = `${checkOperators ? 'operators' : 'plain'}:${modelName}`;
+      if (!results.has(memoKey)) {
+        results.set(memoKey, this._matchHeuristically(map, modelName, checkOperators, accept));
+      }
+      return results.get(memoKey);
+    },
+
+    _matchHeuristically(map, modelName, checkOperators, accept) {
+      for (const { transform, searchTerm } of this.getSearchTerms(modelName)) {
+        const result = this._findMatchInMap(map, searchTerm, checkOperators, accept);
+        if (result) {
+          return {
+            entry: result.entry,
+            match: {
+              method: result.method,
+              transform,
+              key: result.key,
+              confidence: this._getConfidence(result.method, transform)
+            }
+          };
+        }
+      }
+
+      return null;
+    },
+
+    /**
+     * The normalized forms of a model name that match() tries, in order.
+     * @returns {Array<{transform: string|null, searchTerm: string}>}
+     */
+    getSearchTerms(modelName) {
+      const normalized = this.normalizeModelName(modelName);
+      const withoutSuffix = this._stripSuffixes(normalized);
+      const withoutDates = this._stripDates(normalized);
+      const withoutThinking = this._stripThinking(normalized);
+      const withoutDatesAndThinking = this._stripThinking(withoutDates);
+
+      // 1. Direct match with normalized name
+      // 2. Try without common suffixes
+      // 3. Try without date patterns
+      // 4. Try without thinking variants
+      // 5. Try stripping BOTH dates AND thinking
+      const attempts = [
+        [null, normalized, true],
+        ['suffix', withoutSuffix, withoutSuffix !== normalized],
+        ['date', withoutDates, withoutDates !== normalized && withoutDates.length > 0],
+        ['thinking', withoutThinking, withoutThinking !== normalized && withoutThinking.length > 0],
+        ['date-thinking', withoutDatesAndThinking, withoutDatesAndThinking !== normalized &&
+          withoutDatesAndThinking !== withoutDates &&
+          withoutDatesAndThinking !== withoutThinking &&
+          withoutDatesAndThinking.length > 0]
+      ];
+
+      return attempts
+        .filter(([, , applicable]) => applicable)
+        .map(([transform, searchTerm]) => ({ transform, searchTerm }));
+    },
+
+    /**
+     * Provider ids that look closest to a model name, for the match report:
+     * most shared name parts first, then the longest common prefix.
+     * @returns {string[]}
+     */
+    nearMisses(map, modelName, limit = 5) {
+      const split = (name) => name.split(/[/:.-]+/).filter(Boolean);
+      const normalized = this.normalizeModelName(modelName);
+      const parts = new Set(split(normalized));
+      const candidates = new Map();
+
+      for (const [key, entry] of map) {
+        const id = entry.sourceModelName || key;
+        if (candidates.has(id)) continue;
+        const shortId = this.normalizeModelName(id).split('/').pop();
+        const shared = split(shortId).filter(part => parts.has(part)).length;
+        if (shared === 0) continue;
+        let prefix = 0;
+        while (prefix < shortId.length && shortId[prefix] === normalized[prefix]) prefix++;
+        candidates.set(id, { id, shared, prefix });
+      }
+
+      return [...candidates.values()]
+        .sort((a, b) => b.shared - a.shared || b.prefix - a.prefix || a.id.length - b.id.length)
+        .slice(0, limit)
+        .map(candidate => candidate.id);
+    },
+
+    /**
+     * 'high' for an exact id, 'medium' when the name had to be trimmed or a
+     * provider rule/longer id was used, 'low' when the provider id is
+     * shorter than the name (e.g. gpt-4o for gpt-4o-mini).
+     */
+    _getConfidence(method, transform) {
+      if (method === 'prefix') return 'low';
+      if (method === 'exact' && !transform) return 'high';
+      return 'medium';
+    },
+
+    /**
+     * The entry the user pinned for an Arena model name, if any. Pins hold
+     * the provider's own model id, so they survive refetches.
+     * @param {Map} map - A provider's pricing or context map
+     * @param {string} modelName - The Arena model name
+     * @param {string} provider - The provider the map belongs to
+     * @returns {any} A copy of the pinned entry with its `match`, or null
+     */
+    findPinned(map, modelName, provider) {
+      const pinnedId = currentModelMatches[modelName]?.[provider];
+      if (!pinnedId) return null;
+      const entry = map.get(this.normalizeModelName(pinnedId));
+      if (!entry) return null;
+      return { ...entry, match: { method: 'pinned', transform: null, key: pinnedId, confidence: 'high' } };
+    }
+  };
+
+  // ============================================
+  // Model Aliases (Bundled dictionary plus user-added entries)
+  // ============================================
+  // For Arena names no normalization can bridge to a provider id, e.g.
+  // marketing names or models renamed after launch. Both lists map an
+  // Arena name to one or more provider ids (bare ids like "gpt-4o" match
+  // every provider); the user's entries are tried before the bundled ones.
+  const ModelAliases = {
+    bundled: new Map(),
+
+    async loadBundled() {
+      try {
+        const response = await fetch(chrome.runtime.getURL(CONFIG.BUNDLED_ALIASES_PATH));
+        if (!response.ok) throw new Error(`HTTP ${response.status}`);
+        this.bundled = this.normalize(await response.json());
+      } catch (error) {
+        console.warn('[LMArena Plus] Failed to load bundled aliases:', error);
+      }
+    },
+
+    /**
+     * Accepts the alias file format ({ aliases: {...} }) or the bare object
+     * kept in sync storage; each value is an id or a list of ids.
+     * @returns {Map<string, string[]>} Normalized Arena name -> provider ids
+     */
+    normalize(value) {
+      const aliases = new Map();
+      for (const [name, ids] of Object.entries(value?.aliases ?? value ?? {})) {
+        const list = (Array.isArray(ids) ? ids : [ids])
+          .filter(id => typeof id === 'string' && id.trim())
+          .map(id => id.trim());
+        if (name.trim() && list.length > 0) {
+          aliases.set(ModelMatcher.normalizeModelName(name), list);
+        }
+      }
+      return aliases;
+    },
+
+    get(modelName) {
+      const name = ModelMatcher.normalizeModelName(modelName);
+      return [...(currentModelAliases.get(name) || []), ...(this.bundled.get(name) || [])];
+    },
+
+    /**
+     * The first alias the map has an entry for, looked up by exact id.
+     * @returns {{entry: any, match: Object}|null} Shaped like ModelMatcher.match()
+     */
+    find(map, modelName, accept = acceptAll) {
+      for (const alias of this.get(modelName)) {
+        const key = ModelMatcher.normalizeModelName(alias);
+        const entry = map.get(key) ?? map.get(key.split('/').pop());
+        if (entry && accept(entry)) {
+          return { entry, match: { method: 'alias', transform: null, key: alias, confidence: 'high' } };
+        }
+      }
+      return null;
+    }
+  };
+
+  const bundledAliasesReady = ModelAliases.loadBundled();
+
+  // ============================================
+  // Provider Cache (chrome.storage.local with TTL)
+  // ============================================
+  // Parsed provider maps are persisted so the worker can answer lookups
+  // instantly after it is restarted. Stale entries are still served while a
+  // refresh runs in the background, and are kept as last-known-good data
+  // when a provider fetch fails.
+  const ProviderCache = {
+    _storageKey(cacheKey) {
+      return `${CONFIG.CACHE_STORAGE_PREFIX}${cacheKey}`;
+    },
+
+    async read(cacheKey, source) {
+      try {
+        const storageKey = this._storageKey(cacheKey);
+        const result = await chrome.storage.local.get(storageKey);
+        const cached = result[storageKey];
+        if (!cached || !Array.isArray(cached.records) || !Array.isArray(cached.keys)) return null;
+        if (cached.version !== CONFIG.CACHE_VERSION) return null;
+        if (cached.source !== source) return null;
+        return cached;
+      } catch (error) {
+        console.warn(`[LMArena Plus] Failed to read cache for ${cacheKey}:`, error);
+        return null;
+      }
+    },
+
+    async write(cacheKey, map, fetchedAt, source) {
+      // Short keys point at the same record as their full key, so store each record once
+      const records = [];
+      const recordIndex = new Map();
+      const keys = [];
+      for (const [key, record] of map) {
+        let idx = recordIndex.get(record);
+        if (idx === undefined) {
+          idx = records.length;
+          records.push(record);
+          recordIndex.set(record, idx);
+        }
+        keys.push([key, idx]);
+      }
+
+      try {
+        await chrome.storage.local.set({
+          [this._storageKey(cacheKey)]: { version: CONFIG.CACHE_VERSION, source, fetchedAt, records, keys }
+        });
+      } catch (error) {
+        console.warn(`[LMArena Plus] Failed to write cache for ${cacheKey}:`, error);
+      }
+    },
+
+    toMap(cached) {
+      const map = new Map();
+      for (const [key, idx] of cached.keys) {
+        const record = cached.records[idx];
+        if (record) map.set(key, record);
+      }
+      return map;
+    },
+
+    isFresh(entry) {
+      return Date.now() - entry.fetchedAt < currentCacheTtl;
+    }
+  };
+
+  // Provider prices are per token (or per 1M for Helicone); keep missing ones as null
+  // so "no published rate" can be told apart from "free"
+  function toCostPer1M(value, scale = 1000000) {
+    const cost = parseFloat(value);
+    return Number.isFinite(cost) ? cost * scale : null;
+  }
+
+  /**
+   * Collect LiteLLM's long-context rates, published as extra fields such as
+   * `input_cost_per_token_above_200k_tokens`, into tiers sorted by threshold.
+   * @returns {Array|null} [{ above_tokens, input_cost_per_1m, output_cost_per_1m, cache_read_cost_per_1m }]
+   */
+  function parseLiteLLMTiers(modelData) {
+    const tiers = new Map();
+    const getTier = (above) => {
+      if (!tiers.has(above)) {
+        tiers.set(above, {
+          above_tokens: above,
+          input_cost_per_1m: null,
+          output_cost_per_1m: null,
+          cache_read_cost_per_1m: null
+        });
+      }
+      return tiers.get(above);
+    };
+
+    for (const [field, value] of Object.entries(modelData)) {
+      const match = field.match(/^(input_cost_per_token|output_cost_per_token|cache_read_input_token_cost)_above_(\d+)k_tokens$/);
+      if (!match) continue;
+      const tier = getTier(parseInt(match[2], 10) * 1000);
+      const cost = toCostPer1M(value);
+      if (match[1] === 'input_cost_per_token') tier.input_cost_per_1m = cost;
+      else if (match[1] === 'output_cost_per_token') tier.output_cost_per_1m = cost;
+      else tier.cache_read_cost_per_1m = cost;
+    }
+
+    const sorted = [...tiers.values()]
+      .filter(tier => tier.input_cost_per_1m !== null || tier.output_cost_per_1m !== null)
+      .sort((a, b) => a.above_tokens - b.above_tokens);
+    return sorted.length > 0 ? sorted : null;
+  }
+
+  /**
+   * Collect LiteLLM's discounted service-tier rates (`input_cost_per_token_batches`,
+   * `output_cost_per_token_flex`, ...). Sides that aren't published stay null.
+   * @returns {Object|null} { batch: { input_cost_per_1m, output_cost_per_1m }, flex: {...} }
+   */
+  function parseLiteLLMModes(modelData) {
+    const modes = {};
+    const suffixes = { batch: 'batches', flex: 'flex' };
+
+    for (const [mode, suffix] of Object.entries(suffixes)) {
+      const input = toCostPer1M(modelData[`input_cost_per_token_${suffix}`]);
+      const output = toCostPer1M(modelData[`output_cost_per_token_${suffix}`]);
+      if (input !== null || output !== null) {
+        modes[mode] = { input_cost_per_1m: input, output_cost_per_1m: output };
+      }
+    }
+
+    return Object.keys(modes).length > 0 ? modes : null;
+  }
+
+  // Read a dot-separated path such as "model_info.input_cost_per_token"; "" is the value itself
+  function getPath(value, path) {
+    if (!path) return value;
+    return path.split('.').reduce((current, part) => current?.[part], value);
+  }
+
+  /**
+   * Prices for image and video generation, which LiteLLM publishes per image,
+   * per pixel or per second of output instead of per token. Input pixel
+   * prices only count for image generation models, where LiteLLM uses them
+   * for the generated image.
+   * @returns {Object|null} { per_image, per_megapixel, per_second } in USD
+   */
+  function parseLiteLLMMedia(modelData) {
+    const price = (value) => {
+      const cost = parseFloat(value);
+      return Number.isFinite(cost) && cost > 0 ? cost : null;
+    };
+    const perPixel = price(modelData.output_cost_per_pixel) ??
+      (modelData.mode === 'image_generation' ? price(modelData.input_cost_per_pixel) : null);
+
+    const media = {
+      per_image: price(modelData.output_cost_per_image),
+      per_megapixel: perPixel !== null ? perPixel * 1000000 : null,
+      per_second: price(modelData.output_cost_per_video_per_second) ??
+        (modelData.mode === 'video_generation' ? price(modelData.output_cost_per_second) : null)
+    };
+    return Object.values(media).some(value => value !== null) ? media : null;
+  }
+
+  // ============================================
+  // Provider Fetching
+  // ============================================
+  // Pricing and context both read OpenRouter's model list, so concurrent
+  // requests for the same URL share one download.
+  const inFlightFetches = new Map();
+
+  function fetchProviderJson(url) {
+    if (!inFlightFetches.has(url)) {
+      const promise = (async () => {
+        const response = await fetch(url, { cache: 'no-store' });
+        if (!response.ok) throw new Error(`HTTP ${response.status}`);
+        return response.json();
+      })().finally(() => inFlightFetches.delete(url));
+      inFlightFetches.set(url, promise);
+    }
+    return inFlightFetches.get(url);
+  }
+
+  // ============================================
+  // Context Service (Always from OpenRouter)
+  // ============================================
+  class ContextService {
+    constructor() {
+      this.contextMap = null;
+      this.fetchedAt = null;
+      this.inFlight = null;
+      this.onUpdate = null; // Called when a background refresh replaces the map
+    }
+
+    async ensureLoaded() {
+      if (!this.contextMap) {
+        const cached = await ProviderCache.read('context-openrouter');
+        if (cached && !this.contextMap) {
+          this.contextMap = ProviderCache.toMap(cached);
+          this.fetchedAt = cached.fetchedAt;
+        }
+      }
+
+      if (!this.contextMap) {
+        await this.refresh();
+      } else if (!ProviderCache.isFresh(this)) {
+        this._revalidate();
+      }
+    }
+
+    refresh() {
+      // Concurrent lookups from several tabs share one download
+      if (!this.inFlight) {
+        this.inFlight = this._fetchContextData().finally(() => {
+          this.inFlight = null;
+        });
+      }
+      return this.inFlight;
+    }
+
+    _revalidate() {
+      if (this.inFlight) return;
+      this.refresh().then(updated => {
+        if (updated && this.onUpdate) this.onUpdate();
+      });
+    }
+
+    async _fetchContextData() {
+      try {
+        const data = await fetchProviderJson(CONFIG.PROVIDERS.openrouter.url);
+        const contextMap = this._buildContextMap(data);
+        if (contextMap.size === 0) throw new Error('Empty model list');
+
+        this.contextMap = contextMap;
+        this.fetchedAt = Date.now();
+        await ProviderCache.write('context-openrouter', contextMap, this.fetchedAt);
+        return true;
+
+      } catch (error) {
+        // Keep serving whatever was cached (last-known-good)
+        console.error('[LMArena Plus] Failed to fetch context data from OpenRouter:', error);
+        return false;
+      }
+    }
+
+    _buildContextMap(data) {
+      const contextMap = new Map();
+      const models = data.data || [];
+
+      for (const model of models) {
+        if (!model.id) continue;
+
+        const key = ModelMatcher.normalizeModelName(model.id);
+        const hasExplicitModalities = !!(model.architecture?.input_modalities || model.architecture?.output_modalities);
+        const contextData = {
+          context_length: model.context_length || null,
+          created: model.created || null,
+          input_modalities: model.architecture?.input_modalities || ['text'],
+          output_modalities: model.architecture?.output_modalities || ['text'],
+          hasExplicitModalities: hasExplicitModalities,
+          sourceModelName: model.id
+        };
+
+        if (!contextMap.has(key)) {
+          contextMap.set(key, contextData);
+        }
+
+        const shortKey = key.split('/').pop();
+        if (shortKey && shortKey !== key && !contextMap.has(shortKey)) {
+          contextMap.set(shortKey, contextData);
+        }
+      }
+
+      return contextMap;
+    }
+
+    getContext(modelName) {
+      if (!this.contextMap) return null;
+      // Context comes from OpenRouter, so an OpenRouter pin applies here too
+      const pinned = ModelMatcher.findPinned(this.contextMap, modelName, 'openrouter');
+      if (pinned) return pinned;
+
+      const found = ModelMatcher.match(this.contextMap, modelName);
+      return found && { ...found.entry, match: found.match };
+    }
+  }
+
+  // ============================================
+  // OpenRouter Host Endpoints (Per model, fetched on demand)
+  // ============================================
+  // OpenRouter routes one model to several hosts with their own prices,
+  // quantizations and context limits. There is no bulk endpoint, so hosts
+  // are only fetched for models that need them: every looked-up model while
+  // the columns use the cheapest host (a few at a time, with tabs told to
+  // re-render once the queue drains), otherwise just a hovered model.
+  class EndpointService {
+    constructor() {
+      this.entries = null; // model id -> { hosts, fetchedAt }
+      this.loading = null;
+      this.queue = []; // Model ids waiting for a fetch slot
+      this.scheduled = new Set(); // Waiting or being fetched
+      this.fetching = new Map(); // model id -> Promise of its fetch
+      this.active = 0;
+      this.dirty = false; // Entries to write back to storage
+      this.changed = false; // A cheapest host, and so a displayed price, changed
+      this.onUpdate = null; // Called once newly fetched hosts change a cheapest host
+    }
+
+    _storageKey() {
+      return `${CONFIG.CACHE_STORAGE_PREFIX}endpoints-openrouter`;
+    }
+
+    ensureLoaded() {
+      if (!this.loading) {
+        this.loading = (async () => {
+          try {
+            const result = await chrome.storage.local.get(this._storageKey());
+            const cached = result[this._storageKey()];
+            this.entries = new Map(cached?.version === CONFIG.CACHE_VERSION ? Object.entries(cached.models) : []);
+          } catch (error) {
+            console.warn('[LMArena Plus] Failed to read endpoint cache:', error);
+            this.entries = new Map();
+          }
+        })();
+      }
+      return this.loading;
+    }
+
+    /**
+     * Cached hosts for an OpenRouter model id, sorted cheapest first by
+     * input + output price. Missing or stale entries are queued for a fetch
+     * unless `queue` is false.
+     * @returns {Array|null} [{ provider_name, quantization, context_length, input_cost_per_1m, output_cost_per_1m, cache_read_cost_per_1m }]
+     */
+    getHosts(modelId, { queue = true } = {}) {
+      const entry = this.entries?.get(modelId);
+      if (queue && (!entry || !ProviderCache.isFresh(entry))) this._schedule(modelId);
+      return entry?.hosts || null;
+    }
+
+    /**
+     * Fetch a model's hosts right away when missing or stale, for a tooltip.
+     * Tabs aren't notified: the caller gets the hosts in its own lookup.
+     */
+    async loadHosts(modelId) {
+      const entry = this.entries.get(modelId);
+      if (entry && ProviderCache.isFresh(entry)) return;
+      await this._fetchHosts(modelId);
+      if (this.active === 0) this._flush(false);
+    }
+
+    _schedule(modelId) {
+      if (this.scheduled.has(modelId)) return;
+      this.scheduled.add(modelId);
+      this.queue.push(modelId);
+      this._drain();
+    }
+
+    _drain() {
+      while (this.active < CONFIG.ENDPOINT_FETCH_CONCURRENCY && this.queue.length > 0) {
+        const modelId = this.queue.shift();
+        this.active++;
+        this._fetchHosts(modelId).finally(() => {
+          this.scheduled.delete(modelId);
+          this.active--;
+          this._drain();
+          if (this.active === 0) this._flush(true);
+        });
+      }
+    }
+
+    _flush(notify) {
+      if (this.dirty) {
+        this.dirty = false;
+        this._save();
+      }
+      if (notify && this.changed) {
+        this.changed = false;
+        if (this.onUpdate) this.onUpdate();
+      }
+    }
+
+    _fetchHosts(modelId) {
+      // A hovered model may already be queued or in flight
+      if (!this.fetching.has(modelId)) {
+        const fetch = this._requestHosts(modelId).finally(() => this.fetching.delete(modelId));
+        this.fetching.set(modelId, fetch);
+      }
+      return this.fetching.get(modelId);
+    }
+
+    async _requestHosts(modelId) {
+      const previous = this.entries.get(modelId);
+      if (previous && ProviderCache.isFresh(previous)) return;
+      try {
+        const data = await fetchProviderJson(`${CONFIG.OPENROUTER_ENDPOINTS_URL}/${modelId}/endpoints`);
+        const hosts = (data.data?.endpoints || [])
+          .filter(endpoint => endpoint.pricing)
+          .map(endpoint => ({
+            provider_name: endpoint.provider_name || endpoint.name || 'Unknown',
+            quantization: endpoint.quantization || null,
+            context_length: endpoint.context_length || null,
+            input_cost_per_1m: toCostPer1M(endpoint.pricing.prompt) || 0,
+            output_cost_per_1m: toCostPer1M(endpoint.pricing.completion) || 0,
+            cache_read_cost_per_1m: toCostPer1M(endpoint.pricing.input_cache_read)
+          }))
+          .sort((a, b) => (a.input_cost_per_1m + a.output_cost_per_1m) - (b.input_cost_per_1m + b.output_cost_per_1m));
+
+        this.entries.set(modelId, { hosts: hosts.length > 0 ? hosts : null, fetchedAt: Date.now() });
+        this.dirty = true;
+        // Only the cheapest host feeds the columns; other host changes wait for a hover
+        const [before] = previous?.hosts || [];
+        const [after] = hosts;
+        if (before?.input_cost_per_1m !== after?.input_cost_per_1m ||
+          before?.output_cost_per_1m !== after?.output_cost_per_1m ||
+          before?.cache_read_cost_per_1m !== after?.cache_read_cost_per_1m) {
+          this.changed = true;
+        }
+      } catch (error) {
+        // Keep any previous hosts (last-known-good) and don't retry until the TTL passes
+        console.warn(`[LMArena Plus] Failed to fetch OpenRouter endpoints for ${modelId}:`, error);
+        this.entries.set(modelId, { hosts: previous?.hosts || null, fetchedAt: Date.now() });
+      }
+    }
+
+    async _save() {
+      try {
+        await chrome.storage.local.set({
+          [this._storageKey()]: { version: CONFIG.CACHE_VERSION, models: Object.fromEntries(this.entries) }
+        });
+      } catch (error) {
+        console.warn('[LMArena Plus] Failed to write endpoint cache:', error);
+      }
+    }
+  }
+
+  // ============================================
+  // Pricing Service (Cached, Stale-While-Revalidate)
+  // ============================================
+  // OpenRouter's ":free" variants are looked up separately, never as the paid match
+  const isPaidPricing = pricing => !pricing.freeVariant;
+
+  class PricingService {
+    constructor() {
+      this.providers = new Map(); // provider -> { map, fetchedAt, source }
+      this.inFlight = new Map(); // provider -> Promise<boolean>
+      this.onUpdate = null; // Called with the provider when a background refresh replaces its map
+      this.endpoints = new EndpointService();
+    }
+
+    _sources(provider) {
+      return provider === CONFIG.CONSENSUS_PROVIDER ? CONFIG.CONSENSUS_SOURCES : [provider];
+    }
+
+    async ensureLoaded(provider) {
+      await Promise.all(this._sources(provider).map(source => this._ensureSourceLoaded(source)));
+    }
+
+    async _ensureSourceLoaded(provider) {
+      const config = getProviderConfig(provider);
+      if (!config) return;
+
+      const source = getProviderSource(config);
+      if (this.providers.get(provider)?.source !== source) {
+        this.providers.delete(provider);
+        const cached = await ProviderCache.read(`pricing-${provider}`, source);
+        if (cached && !this.providers.has(provider)) {
+          this.providers.set(provider, { map: ProviderCache.toMap(cached), fetchedAt: cached.fetchedAt, source });
+        }
+      }
+
+      const entry = this.providers.get(provider);
+      if (!entry) {
+        await this._refreshSource(provider);
+      } else if (!ProviderCache.isFresh(entry)) {
+        this._revalidate(provider);
+      }
+    }
+
+    // For consensus this is the oldest of its sources
+    getFetchedAt(provider) {
+      const times = this._sources(provider)
+        .map(source => this.providers.get(source)?.fetchedAt)
+        .filter(Boolean);
+      return times.length > 0 ? Math.min(...times) : null;
+    }
+
+    async refresh(provider) {
+      const results = await Promise.all(this._sources(provider).map(source => this._refreshSource(source)));
+      return results.some(Boolean);
+    }
+
+    _refreshSource(provider) {
+      // Concurrent lookups from several tabs share one download
+      if (!this.inFlight.has(provider)) {
+        const promise = this._fetchPricing(provider).finally(() => {
+          this.inFlight.delete(provider);
+        });
+        this.inFlight.set(provider, promise);
+      }
+      return this.inFlight.get(provider);
+    }
+
+    _revalidate(provider) {
+      if (this.inFlight.has(provider)) return;
+      this._refreshSource(provider).then(updated => {
+        if (updated && this.onUpdate) this.onUpdate(provider);
+      });
+    }
+
+    async _fetchPricing(provider) {
+      const config = getProviderConfig(provider);
+      if (!config) return false;
+
+      const source = getProviderSource(config);
+      try {
+        const data = await fetchProviderJson(config.url);
+        const pricingMap = this._buildPricingMap(data, provider, config);
+        if (pricingMap.size === 0) throw new Error('Empty pricing data');
+        // The custom provider was reconfigured while this was downloading
+        const current = getProviderConfig(provider);
+        if (!current || getProviderSource(current) !== source) return false;
+
+        const fetchedAt = Date.now();
+        this.providers.set(provider, { map: pricingMap, fetchedAt, source });
+        await ProviderCache.write(`pricing-${provider}`, pricingMap, fetchedAt, source);
+        return true;
+
+      } catch (error) {
+        // Keep serving whatever was cached (last-known-good)
+        console.error(`[LMArena Plus] Failed to fetch pricing from ${provider}:`, error);
+        return false;
+      }
+    }
+
+    _buildPricingMap(data, provider, config) {
+      const pricingMap = new Map();
+
+      switch (provider) {
+        case 'helicone':
+          this._buildHeliconeMap(data, pricingMap);
+          break;
+        case 'litellm':
+          this._buildLiteLLMMap(data, pricingMap);
+          break;
+        case 'openrouter':
+          this._buildOpenRouterMap(data, pricingMap);
+          break;
+        case CONFIG.CUSTOM_PROVIDER:
+          this._buildCustomMap(data, pricingMap, config);
+          break;
+      }
+
+      return pricingMap;
+    }
+
+    _addPricing(pricingMap, key, pricing) {
+      // Rate-limited ":free" variants are kept apart from the paid model they mirror
+      if (key.endsWith(':free')) pricing = { ...pricing, freeVariant: true };
+
+      if (!pricingMap.has(key)) {
+        pricingMap.set(key, pricing);
+      }
+
+      const shortKey = key.split('/').pop();
+      if (shortKey && shortKey !== key && !pricingMap.has(shortKey)) {
+        pricingMap.set(shortKey, pricing);
+      }
+    }
+
+    _buildHeliconeMap(data, pricingMap) {
+      const entries = data.data || data;
+      if (!Array.isArray(entries)) return;
+
+      for (const entry of entries) {
+        const key = ModelMatcher.normalizeModelName(entry.model);
+        this._addPricing(pricingMap, key, {
+          input_cost_per_1m: entry.input_cost_per_1m || 0,
+          output_cost_per_1m: entry.output_cost_per_1m || 0,
+          cache_read_cost_per_1m: toCostPer1M(entry.prompt_cache_read_per_1m, 1),
+          cache_write_cost_per_1m: toCostPer1M(entry.prompt_cache_write_per_1m, 1),
+          operator: entry.operator || 'equals',
+          sourceModelName: entry.model
+        });
+      }
+    }
+
+    _buildLiteLLMMap(data, pricingMap) {
+      for (const [modelName, modelData] of Object.entries(data)) {
+        if (modelName === 'sample_spec') continue;
+        const media = parseLiteLLMMedia(modelData);
+        if (!modelData.input_cost_per_token && !modelData.output_cost_per_token && !media) continue;
+
+        const key = ModelMatcher.normalizeModelName(modelName);
+        this._addPricing(pricingMap, key, {
+          input_cost_per_1m: (modelData.input_cost_per_token || 0) * 1000000,
+          output_cost_per_1m: (modelData.output_cost_per_token || 0) * 1000000,
+          cache_read_cost_per_1m: toCostPer1M(modelData.cache_read_input_token_cost),
+          cache_write_cost_per_1m: toCostPer1M(modelData.cache_creation_input_token_cost),
+          tiers: parseLiteLLMTiers(modelData),
+          modes: parseLiteLLMModes(modelData),
+          media,
+          operator: 'equals',
+          sourceModelName: modelName
+        });
+      }
+    }
+
+    _buildOpenRouterMap(data, pricingMap) {
+      const models = data.data || [];
+
+      for (const model of models) {
+        if (!model.id || !model.pricing) continue;
+
+        const key = ModelMatcher.normalizeModelName(model.id);
+        const promptPrice = parseFloat(model.pricing.prompt) || 0;
+        const completionPrice = parseFloat(model.pricing.completion) || 0;
+
+        this._addPricing(pricingMap, key, {
+          input_cost_per_1m: promptPrice * 1000000,
+          output_cost_per_1m: completionPrice * 1000000,
+          cache_read_cost_per_1m: toCostPer1M(model.pricing.input_cache_read),
+          cache_write_cost_per_1m: toCostPer1M(model.pricing.input_cache_write),
+          operator: 'equals',
+          sourceModelName: model.id
+        });
+      }
+    }
+
+    /**
+     * Build a map from any JSON using the user's field mapping. `listPath`
+     * may point at an array of models or at an object keyed by model id
+     * (then `idPath` may be left empty to use the key).
+     */
+    _buildCustomMap(data, pricingMap, config) {
+      const list = getPath(data, config.listPath);
+      if (!list || typeof list !== 'object') return;
+
+      const entries = Array.isArray(list)
+        ? list.map(item => [getPath(item, config.idPath), item])
+        : Object.entries(list).map(([key, item]) => [config.idPath ? getPath(item, config.idPath) : key, item]);
+      const scale = 1000000 / config.unit;
+
+      for (const [modelId, item] of entries) {
+        if (typeof modelId !== 'string' || !modelId) continue;
+        const input = toCostPer1M(getPath(item, config.inputPath), scale);
+        const output = toCostPer1M(getPath(item, config.outputPath), scale);
+        if (input === null && output === null) continue;
+
+        this._addPricing(pricingMap, ModelMatcher.normalizeModelName(modelId), {
+          input_cost_per_1m: input || 0,
+          output_cost_per_1m: output || 0,
+          cache_read_cost_per_1m: null,
+          cache_write_cost_per_1m: null,
+          operator: 'equals',
+          sourceModelName: modelId
+        });
+      }
+    }
+
+    /**
+     * Look up a batch of model names, trying each provider of the fallback
+     * chain for the names the previous ones missed. Fallback providers are
+     * only loaded when there is still something left to find. The user's
+     * negotiated price overrides are applied last.
+     * @param {string[]} modelNames - Arena model names
+     * @param {string} provider - The user's selected provider
+     * @param {string[]} fallbackChain - Providers to try next, in order
+     * @param {Object} [options]
+     * @param {boolean} [options.fetchHosts] - Wait for OpenRouter hosts missing from the cache
+     * @returns {Promise<Object>} modelName -> pricing record (or null)
+     */
+    async lookup(modelNames, provider, fallbackChain = [], { fetchHosts = false } = {}) {
+      await this.ensureLoaded(provider);
+
+      const results = {};
+      let missing = [];
+      for (const modelName of modelNames) {
+        results[modelName] = this.getPricing(modelName, provider);
+        if (!results[modelName]) missing.push(modelName);
+      }
+
+      // Consensus already draws on every provider
+      const chain = provider === CONFIG.CONSENSUS_PROVIDER ? [] : fallbackChain;
+
+      for (const fallback of chain) {
+        if (missing.length === 0) break;
+        if (fallback === provider || !getProviderConfig(fallback)) continue;
+
+        await this.ensureLoaded(fallback);
+        missing = missing.filter(modelName => {
+          const pricing = this._getSourcePricing(modelName, fallback);
+          if (!pricing) return true;
+          // Copy so the shared map entry isn't tagged for other lookups
+          results[modelName] = { ...pricing, fallbackProvider: fallback };
+          return false;
+        });
+      }
+
+      await this._attachHosts(results, provider, fetchHosts);
+
+      // History follows list prices, before the user's own overrides
+      await PriceHistory.ensureLoaded();
+      await PriceHistory.track(results, provider);
+
+      for (const modelName of modelNames) {
+        results[modelName] = PriceOverrides.apply(modelName, results[modelName]);
+      }
+      return results;
+    }
+
+    // Add OpenRouter's per-host offerings to records that came from OpenRouter.
+    // With the headline basis the columns don't use them, so nothing is
+    // fetched unless a tooltip asks for it.
+    async _attachHosts(results, provider, fetchHosts) {
+      await this.endpoints.ensureLoaded();
+      const queue = currentHostBasis === 'cheapest';
+      for (const [modelName, pricing] of Object.entries(results)) {
+        if (!pricing || (pricing.fallbackProvider || provider) !== 'openrouter') continue;
+        if (fetchHosts) await this.endpoints.loadHosts(pricing.sourceModelName);
+        const hosts = this.endpoints.getHosts(pricing.sourceModelName, { queue });
+        if (hosts) results[modelName] = { ...pricing, hosts };
+      }
+    }
+
+    getPricing(modelName, provider) {
+      if (provider === CONFIG.CONSENSUS_PROVIDER) {
+        return this._getConsensusPricing(modelName);
+      }
+      return this._getSourcePricing(modelName, provider);
+    }
+
+    _getSourcePricing(modelName, provider) {
+      const entry = this.providers.get(provider);
+      if (!entry) return null;
+
+      const pinned = ModelMatcher.findPinned(entry.map, modelName, provider);
+      if (pinned) return pinned;
+
+      // Use checkOperators for Helicone's includes/startsWith matching
+      const found = ModelMatcher.match(entry.map, modelName, {
+        checkOperators: true,
+        accept: isPaidPricing
+      });
+      const paid = found && { ...found.entry, match: found.match };
+      const free = this._findFreeVariant(entry.map, modelName, paid);
+      if (!free) return paid;
+
+      if (currentFreeVariants === 'include') {
+        const paidPricing = paid && {
+          input_cost_per_1m: paid.input_cost_per_1m,
+          output_cost_per_1m: paid.output_cost_per_1m,
+          sourceModelName: paid.sourceModelName
+        };
+        // The twin is found by exact id, so it is as certain as the paid match
+        const match = paid ? paid.match : { method: 'exact', transform: null, key: free.sourceModelName, confidence: 'high' };
+        return { ...free, paidPricing, match };
+      }
+      return paid && { ...paid, freeVariantName: free.sourceModelName };
+    }
+
+    /**
+     * Provider models whose id contains every word of the query, for the
+     * match picker. Shortest ids first, so exact names surface at the top.
+     * @returns {Array<{id: string, input_cost_per_1m: number, output_cost_per_1m: number}>}
+     */
+    search(provider, query, limit = 30) {
+      const entry = this.providers.get(provider);
+      if (!entry) return [];
+
+      const words = ModelMatcher.normalizeModelName(query).split(/[\s/:-]+/).filter(Boolean);
+      const results = new Map();
+      for (const pricing of entry.map.values()) {
+        const id = pricing.sourceModelName;
+        if (!id || results.has(id)) continue;
+        const normalized = ModelMatcher.normalizeModelName(id);
+        if (!words.every(word => normalized.includes(word))) continue;
+        results.set(id, {
+          id,
+          input_cost_per_1m: pricing.input_cost_per_1m,
+          output_cost_per_1m: pricing.output_cost_per_1m
+        });
+      }
+
+      return [...results.values()]
+        .sort((a, b) => a.id.length - b.id.length || a.id.localeCompare(b.id))
+        .slice(0, limit);
+    }
+
+    nearMisses(modelName, provider) {
+      const entry = this.providers.get(provider);
+      return entry ? ModelMatcher.nearMisses(entry.map, modelName) : [];
+    }
+
+    // The ":free" twin of the matched model, looked up exactly so a free
+    // variant of a different model can never stand in for it
+    _findFreeVariant(map, modelName, paid) {
+      const base = ModelMatcher.normalizeModelName(paid ? paid.sourceModelName : modelName);
+      const free = map.get(`${base}:free`);
+      return free?.freeVariant ? free : null;
+    }
+
+    /**
+     * Combine every provider's match into one record. The headline input/output
+     * prices are the medians, so sorting and Bang for Buck work unchanged; the
+     * individual offers are kept for the tooltip and disagreement check.
+     */
+    _getConsensusPricing(modelName) {
+      const offers = [];
+      for (const provider of CONFIG.CONSENSUS_SOURCES) {
+        const pricing = this._getSourcePricing(modelName, provider);
+        if (!pricing) continue;
+        offers.push({
+          provider,
+          input_cost_per_1m: pricing.input_cost_per_1m || 0,
+          output_cost_per_1m: pricing.output_cost_per_1m || 0,
+          cache_read_cost_per_1m: pricing.cache_read_cost_per_1m ?? null,
+          cache_write_cost_per_1m: pricing.cache_write_cost_per_1m ?? null,
+          tiers: pricing.tiers ?? null,
+          modes: pricing.modes ?? null,
+          media: pricing.media ?? null,
+          sourceModelName: pricing.sourceModelName,
+          match: pricing.match
+        });
+      }
+      if (offers.length === 0) return null;
+
+      // The median is only as trustworthy as the weakest match behind it
+      const CONFIDENCE_ORDER = ['low', 'medium', 'high'];
+      const weakest = offers.reduce((worst, offer) =>
+        CONFIDENCE_ORDER.indexOf(offer.match.confidence) < CONFIDENCE_ORDER.indexOf(worst.match.confidence) ? offer : worst);
+      // An image/video-only record's 0/0 would drag the token medians to free
+      const tokenOffers = offers.filter(hasTokenPrice);
+      const priced = tokenOffers.length > 0 ? tokenOffers : offers;
+
+      return {
+        input_cost_per_1m: median(priced.map(o => o.input_cost_per_1m)),
+        output_cost_per_1m: median(priced.map(o => o.output_cost_per_1m)),
+        cache_read_cost_per_1m: medianOfKnown(offers.map(o => o.cache_read_cost_per_1m)),
+        cache_write_cost_per_1m: medianOfKnown(offers.map(o => o.cache_write_cost_per_1m)),
+        // Only LiteLLM publishes long-context tiers, batch/flex rates and
+        // image/video prices, so there is nothing to take a median of
+        tiers: offers.find(o => o.tiers)?.tiers ?? null,
+        modes: offers.find(o => o.modes)?.modes ?? null,
+        media: offers.find(o => o.media)?.media ?? null,
+        operator: 'equals',
+        sourceModelName: offers[0].sourceModelName,
+        match: { ...weakest.match, provider: weakest.provider },
+        consensus: {
+          offers,
+          providerCount: CONFIG.CONSENSUS_SOURCES.length
+        }
+      };
+    }
+  }
+
+  function median(values) {
+    const sorted = [...values].sort((a, b) => a - b);
+    const mid = Math.floor(sorted.length / 2);
+    return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+  }
+
+  // LiteLLM lists some image/video models with per-image or per-second prices only
+  function hasTokenPrice(pricing) {
+    return !pricing.media || pricing.input_cost_per_1m > 0 || pricing.output_cost_per_1m > 0;
+  }
+
+  // Median over the providers that publish a value at all (null if none do)
+  function medianOfKnown(values) {
+    const known = values.filter(value => value !== null && value !== undefined);
+    return known.length > 0 ? median(known) : null;
+  }
+
+  // ============================================
+  // Negotiated Price Overrides
+  // ============================================
+  // User-maintained contract prices, applied on top of whatever the selected
+  // provider (or fallback chain) returned. A model rule replaces the list
+  // price outright; otherwise the first matching vendor discount is applied.
+  const PriceOverrides = {
+    /**
+     * Sanitize the stored overrides so lookups never trip over a half-edited row.
+     * @returns {{models: Array<{pattern: string, input: number|null, output: number|null}>,
+     *            vendors: Array<{prefix: string, discount: number}>}}
+     */
+    normalize(value) {
+      const price = (v) => (typeof v === 'number' && v >= 0) ? v : null;
+      return {
+        models: (value?.models || [])
+          .filter(rule => rule?.pattern)
+          .map(rule => ({ pattern: rule.pattern, input: price(rule.input), output: price(rule.output) }))
+          .filter(rule => rule.input !== null || rule.output !== null),
+        vendors: (value?.vendors || [])
+          .filter(rule => rule?.prefix && typeof rule.discount === 'number')
+          .map(rule => ({ prefix: rule.prefix, discount: Math.min(Math.max(rule.discount, 0), 100) }))
+      };
+    },
+
+    // `*` matches anything; the rest of the pattern is literal and case-insensitive
+    _matchesPattern(pattern, name) {
+      const source = pattern.toLowerCase().split('*')
+        .map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'))
+        .join('.*');
+      return new RegExp(`^${source}$`).test(name);
+    },
+
+    /**
+     * @param {string} modelName - Arena model name
+     * @param {Object|null} pricing - Provider result for it (null on a miss)
+     * @returns {Object|null} The pricing record with overrides applied
+     */
+    apply(modelName, pricing) {
+      const { models, vendors } = currentPriceOverrides;
+      if (models.length === 0 && vendors.length === 0) return pricing;
+
+      // Rules may target the Arena name or the provider's own model id
+      const names = [modelName, pricing?.sourceModelName].filter(Boolean).map(name => name.toLowerCase());
+
+      const modelRule = models.find(rule => names.some(name => this._matchesPattern(rule.pattern, name)));
+      if (modelRule) return this._applyModelRule(modelRule, modelName, pricing);
+
+      const vendorRule = pricing && vendors.find(rule => names.some(name => name.startsWith(rule.prefix.toLowerCase())));
+      if (vendorRule) {
+        const factor = 1 - vendorRule.discount / 100;
+        return {
+          ...scalePricing(pricing, factor, factor),
+          custom: {
+            type: 'vendor',
+            rule: vendorRule.prefix,
+            discount: vendorRule.discount,
+            listInput: pricing.input_cost_per_1m,
+            listOutput: pricing.output_cost_per_1m,
+            listProvider: pricing.fallbackProvider || null
+          }
+        };
+      }
+      return pricing;
+    },
+
+    _applyModelRule(rule, modelName, pricing) {
+      const custom = {
+        type: 'model',
+        rule: rule.pattern,
+        listInput: pricing?.input_cost_per_1m ?? null,
+        listOutput: pricing?.output_cost_per_1m ?? null,
+        listProvider: pricing?.fallbackProvider || null
+      };
+
+      if (!pricing) {
+        // No list price to fill a blank side from
+        if (rule.input === null || rule.output === null) return null;
+        return {
+          input_cost_per_1m: rule.input,
+          output_cost_per_1m: rule.output,
+          cache_read_cost_per_1m: null,
+          cache_write_cost_per_1m: null,
+          tiers: null,
+          modes: null,
+          operator: 'equals',
+          sourceModelName: modelName,
+          custom
+        };
+      }
+
+      // Cache, tier and batch rates follow the contract price proportionally
+      const ratio = (price, list) => (price !== null && list > 0) ? price / list : 1;
+      const inputFactor = ratio(rule.input, pricing.input_cost_per_1m);
+      const outputFactor = ratio(rule.output, pricing.output_cost_per_1m);
+      // The contract price is the answer, so per-provider offers, hosts and the fallback marker no longer apply
+      const { consensus, hosts, fallbackProvider, ...list } = pricing;
+
+      return {
+        ...scalePricing(list, inputFactor, outputFactor),
+        input_cost_per_1m: rule.input ?? pricing.input_cost_per_1m,
+        output_cost_per_1m: rule.output ?? pricing.output_cost_per_1m,
+        // Contract token prices say nothing about per-image or per-second rates
+        media: pricing.media ?? null,
+        custom
+      };
+    }
+  };
+
+  /**
+   * Copy of a pricing record with every input-side rate (including cache,
+   * long-context tiers, batch/flex, hosts and consensus offers) multiplied by
+   * inputFactor and every output-side rate (including image/video prices)
+   * by outputFactor.
+   */
+  function scalePricing(pricing, inputFactor, outputFactor) {
+    const scale = (value, factor) => (value === null || value === undefined) ? value : value * factor;
+    const scaled = {
+      ...pricing,
+      input_cost_per_1m: scale(pricing.input_cost_per_1m, inputFactor),
+      output_cost_per_1m: scale(pricing.output_cost_per_1m, outputFactor),
+      cache_read_cost_per_1m: scale(pricing.cache_read_cost_per_1m, inputFactor),
+      cache_write_cost_per_1m: scale(pricing.cache_write_cost_per_1m, inputFactor),
+      tiers: pricing.tiers?.map(tier => ({
+        ...tier,
+        input_cost_per_1m: scale(tier.input_cost_per_1m, inputFactor),
+        output_cost_per_1m: scale(tier.output_cost_per_1m, outputFactor),
+        cache_read_cost_per_1m: scale(tier.cache_read_cost_per_1m, inputFactor)
+      })) ?? null,
+      modes: pricing.modes
+        ? Object.fromEntries(Object.entries(pricing.modes).map(([mode, rates]) => [mode, {
+          input_cost_per_1m: scale(rates.input_cost_per_1m, inputFactor),
+          output_cost_per_1m: scale(rates.output_cost_per_1m, outputFactor)
+        }]))
+        : null,
+      // Image/video prices are output prices
+      media: pricing.media
+        ? Object.fromEntries(Object.entries(pricing.media).map(([unit, price]) => [unit, scale(price, outputFactor)]))
+        : null
+    };
+    if (pricing.hosts) {
+      scaled.hosts = pricing.hosts.map(host => ({
+        ...host,
+        input_cost_per_1m: scale(host.input_cost_per_1m, inputFactor),
+        output_cost_per_1m: scale(host.output_cost_per_1m, outputFactor),
+        cache_read_cost_per_1m: scale(host.cache_read_cost_per_1m, inputFactor)
+      }));
+    }
+    if (pricing.consensus) {
+      scaled.consensus = {
+        ...pricing.consensus,
+        offers: pricing.consensus.offers.map(offer => scalePricing(offer, inputFactor, outputFactor))
+      };
+    }
+    return scaled;
+  }
+
+  // ============================================
+  // Price History (Daily snapshots in chrome.storage.local)
+  // ============================================
+  // One [date, input, output] point per model per day, keyed by the provider
+  // and model id that supplied the price so switching providers doesn't mix
+  // series. Points older than the retention window are dropped.
+  const PriceHistory = {
+    series: null, // seriesKey -> [[date, input_cost_per_1m, output_cost_per_1m], ...], oldest first
+    loading: null,
+
+    ensureLoaded() {
+      if (!this.loading) {
+        this.loading = (async () => {
+          try {
+            const result = await chrome.storage.local.get(CONFIG.PRICE_HISTORY_STORAGE_KEY);
+            this.series = new Map(Object.entries(result[CONFIG.PRICE_HISTORY_STORAGE_KEY] || {}));
+          } catch (error) {
+            console.warn('[LMArena Plus] Failed to read price history:', error);
+            this.series = new Map();
+          }
+        })();
+      }
+      return this.loading;
+    },
+
+    /**
+     * Record today's price for every result and attach `history` (its
+     * points) and `priceChange` (the previous snapshot and today's, when
+     * the list price differs between them). New points are written before this resolves,
+     * since the worker may be suspended as soon as the lookup is answered.
+     * @param {Object} results - modelName -> pricing record, updated in place
+     * @param {string} provider - The selected provider
+     */
+    async track(results, provider) {
+      const today = this._dateKey(Date.now());
+      let changed = false;
+      for (const [modelName, pricing] of Object.entries(results)) {
+        if (!pricing?.sourceModelName) continue;
+        const seriesKey = `${pricing.fallbackProvider || provider}:${pricing.sourceModelName}`;
+        const before = this.series.get(seriesKey);
+        const points = this._record(seriesKey, today, pricing);
+        changed = changed || points !== before;
+        results[modelName] = { ...pricing, history: points, priceChange: this._getChange(points) };
+      }
+      // At most once a day per model, so this rarely writes
+      if (changed) await this._save();
+    },
+
+    _record(seriesKey, today, pricing) {
+      // Rounded so float noise doesn't read as a price change
+      const round = (value) => Math.round((value || 0) * 1000000) / 1000000;
+      const point = [today, round(pricing.input_cost_per_1m), round(pricing.output_cost_per_1m)];
+      const points = this.series.get(seriesKey) || [];
+      const last = points[points.length - 1];
+
+      if (last && last[0] === today && last[1] === point[1] && last[2] === point[2]) return points;
+
+      // A price change later in the day replaces that day's snapshot
+      const updated = [...(last?.[0] === today ? points.slice(0, -1) : points), point]
+        .filter(([date]) => date >= this._cutoff());
+      this.series.set(seriesKey, updated);
+      return updated;
+    },
+
+    _getChange(points) {
+      if (points.length < 2) return null;
+      const [date, input, output] = points[points.length - 2];
+      const [, currentInput, currentOutput] = points[points.length - 1];
+      if (input === currentInput && output === currentOutput) return null;
+      // Both sides are list prices: overrides are applied after this, and
+      // comparing against the negotiated price would invent a change
+      return {
+        date,
+        input_cost_per_1m: input,
+        output_cost_per_1m: output,
+        current: { input_cost_per_1m: currentInput, output_cost_per_1m: currentOutput }
+      };
+    },
+
+    _dateKey(timestamp) {
+      return new Date(timestamp).toISOString().slice(0, 10);
+    },
+
+    _cutoff() {
+      return this._dateKey(Date.now() - currentHistoryRetention * 24 * 60 * 60 * 1000);
+    },
+
+    async _save() {
+      // Series for models that left every leaderboard age out here
+      const cutoff = this._cutoff();
+      for (const [seriesKey, points] of this.series) {
+        const kept = points.filter(([date]) => date >= cutoff);
+        if (kept.length === 0) this.series.delete(seriesKey);
+        else if (kept.length !== points.length) this.series.set(seriesKey, kept);
+      }
+
+      try {
+        await chrome.storage.local.set({ [CONFIG.PRICE_HISTORY_STORAGE_KEY]: Object.fromEntries(this.series) });
+      } catch (error) {
+        console.warn('[LMArena Plus] Failed to write price history:', error);
+      }
+    },
+
+    toCsv() {
+      const escape = (value) => /[",\n]/.test(value) ? `"${value.replace(/"/g, '""')}"` : value;
+      const lines = ['provider,model,date,input_per_1m_usd,output_per_1m_usd'];
+      for (const [seriesKey, points] of this.series) {
+        const separator = seriesKey.indexOf(':');
+        const provider = seriesKey.slice(0, separator);
+        const model = seriesKey.slice(separator + 1);
+        for (const [date, input, output] of points) {
+          lines.push([escape(provider), escape(model), date, input, output].join(','));
+        }
+      }
+      return lines.join('\n');
+    }
+  };
+
+  // ============================================
+  // Tab Broadcasting
+  // ============================================
+  async function notifyArenaTabs(message) {
+    try {
+      const tabs = await chrome.tabs.query({ url: CONFIG.ARENA_TAB_PATTERN });
+      for (const tab of tabs) {
+        chrome.tabs.sendMessage(tab.id, message).catch(() => { });
+      }
+    } catch (error) {
+      console.warn('[LMArena Plus] Failed to notify tabs:', error);
+    }
+  }
+
+  // ============================================
+  // Message Handling
+  // ============================================
+  const pricingService = new PricingService();
+  const contextService = new ContextService();
+
+  pricingService.onUpdate = (provider) => notifyArenaTabs({ type: 'PROVIDER_DATA_UPDATED', provider });
+  pricingService.endpoints.onUpdate = () => notifyArenaTabs({ type: 'PROVIDER_DATA_UPDATED', provider: 'openrouter' });
+  contextService.onUpdate = () => notifyArenaTabs({ type: 'PROVIDER_DATA_UPDATED', provider: 'openrouter' });
+
+  const MESSAGE_HANDLERS = {
+    // Resolve a batch of Arena model names against the pricing and context maps
+    // (with `fetchHosts`, for a tooltip wanting OpenRouter hosts the columns didn't need)
+    async LOOKUP_MODELS({ provider, fallback = [], modelNames = [], fetchHosts = false }) {
+      const [pricing] = await Promise.all([
+        pricingService.lookup(modelNames, provider, fallback, { fetchHosts }),
+        contextService.ensureLoaded()
+      ]);
+
+      const context = {};
+      for (const modelName of modelNames) {
+        context[modelName] = contextService.getContext(modelName);
+      }
+      return { pricing, context };
+    },
+
+    async SEARCH_PROVIDER_MODELS({ provider, query = '' }) {
+      await pricingService.ensureLoaded(provider);
+      return { models: pricingService.search(provider, query) };
+    },
+
+    // Everything the match report shows for each model on the page
+    async DIAGNOSE_MODELS({ provider, fallback = [], modelNames = [] }) {
+      const [pricing] = await Promise.all([
+        pricingService.lookup(modelNames, provider, fallback),
+        contextService.ensureLoaded()
+      ]);
+      const sources = provider === CONFIG.CONSENSUS_PROVIDER ? CONFIG.CONSENSUS_SOURCES : [provider];
+
+      const models = modelNames.map(modelName => {
+        const record = pricing[modelName];
+        const context = contextService.getContext(modelName);
+        const needsPricingHints = !record || record.match?.confidence === 'low';
+        const needsContextHints = !context || context.match?.confidence === 'low';
+
+        return {
+          modelName,
+          aliases: ModelAliases.get(modelName),
+          searchTerms: ModelMatcher.getSearchTerms(modelName),
+          pricing: record && {
+            provider: record.fallbackProvider || provider,
+            sourceModelName: record.sourceModelName,
+            match: record.match,
+            input_cost_per_1m: record.input_cost_per_1m,
+            output_cost_per_1m: record.output_cost_per_1m
+          },
+          context: context && {
+            sourceModelName: context.sourceModelName,
+            match: context.match,
+            context_length: context.context_length
+          },
+          nearMisses: {
+            pricing: needsPricingHints ? sources.map(source => ({
+              provider: source,
+              ids: pricingService.nearMisses(modelName, source)
+                .filter(id => id !== record?.sourceModelName)
+            })) : [],
+            context: needsContextHints && contextService.contextMap
+              ? ModelMatcher.nearMisses(contextService.contextMap, modelName)
+                .filter(id => id !== context?.sourceModelName)
+              : []
+          }
+        };
+      });
+      return { models };
+    },
+
+    async EXPORT_PRICE_HISTORY() {
+      await PriceHistory.ensureLoaded();
+      return { csv: PriceHistory.toCsv() };
+    },
+
+    async GET_PROVIDER_STATUS({ provider }) {
+      await Promise.all([
+        pricingService.ensureLoaded(provider),
+        contextService.ensureLoaded()
+      ]);
+      return {
+        pricingFetchedAt: pricingService.getFetchedAt(provider),
+        contextFetchedAt: contextService.fetchedAt
+      };
+    },
+
+    async REFRESH_PROVIDER_DATA({ provider }) {
+      // The popup saves the custom provider right before asking for a refresh,
+      // possibly before storage.onChanged has reached this worker
+      if (provider === CONFIG.CUSTOM_PROVIDER) await loadPreferences();
+
+      const [pricingUpdated, contextUpdated] = await Promise.all([
+        pricingService.refresh(provider),
+        contextService.refresh()
+      ]);
+      if (pricingUpdated || contextUpdated) {
+        notifyArenaTabs({ type: 'PROVIDER_DATA_UPDATED', provider });
+      }
+      return {
+        pricingFetchedAt: pricingService.getFetchedAt(provider),
+        contextFetchedAt: contextService.fetchedAt
+      };
+    }
+  };
+
+  chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+    const handler = MESSAGE_HANDLERS[message?.type];
+    if (!handler) return false;
+
+    Promise.all([preferencesReady, bundledAliasesReady])
+      .then(() => handler(message))
+      .then(sendResponse, (error) => {
+        console.error(`[LMArena Plus] ${message.type} failed:`, error);
+        sendResponse({ error: error.message });
+      });
+
+    return true; // Keep the channel open for the async response
+  });
+})();
@@ -27,6 +27,14 @@
       openrouter: {
         url: 'https://openrouter.ai/api/v1/models',
         name: 'OpenRouter'
+      },
+      // Virtual provider: background.js combines all of the above
+      consensus: {
+        name: 'Consensus'
+      },
+      // User-defined URL and field mapping; the name is set in the popup
+      custom: {
+        name: 'Custom provider'
       }
     },
     COLUMN_MARKER: 'data-lmarena-price-injected',
@@ -37,14 +45,46 @@
     PROVIDER_KEY: 'lmarena-data-provider',
     COLUMN_VISIBILITY_KEY: 'lmarena-column-visibility',
     BATTLE_NOTIFICATION_KEY: 'lmarena-battle-notification',
+    CONSENSUS_THRESHOLD_KEY: 'lmarena-consensus-threshold',
+    FALLBACK_CHAIN_KEY: 'lmarena-provider-fallback',
+    CACHE_HIT_RATIO_KEY: 'lmarena-cache-hit-ratio',
+    PROMPT_SIZE_KEY: 'lmarena-prompt-size',
+    PRICING_MODE_KEY: 'lmarena-pricing-mode',
+    MODE_DISCOUNT_KEY: 'lmarena-mode-discount',
+    CUSTOM_PROVIDER_KEY: 'lmarena-custom-provider',
+    HOST_BASIS_KEY: 'lmarena-openrouter-host',
+    CURRENCY_KEY: 'lmarena-currency',
+    EXCHANGE_RATES_KEY: 'lmarena-exchange-rates',
+    WATCHLIST_KEY: 'lmarena-watchlist', // Starred model names (sync)
+    WATCHLIST_SNAPSHOTS_KEY: 'lmarena-watchlist-snapshots', // Last price and standings seen per model (local)
+    MODEL_MATCHES_KEY: 'lmarena-model-matches',
+    BFB_PROFILES_KEY: 'lmarena-bfb-profiles',
+    WORKLOAD_KEY: 'lmarena-workload',
+    PARETO_MODE_KEY: 'lmarena-pareto-mode',
     DEFAULT_TOKEN_UNIT: 1000000,
     DEFAULT_PROVIDER: 'openrouter',
+    DEFAULT_CONSENSUS_THRESHOLD: 25, // % spread between providers before a price is flagged
+    DEFAULT_FALLBACK_CHAIN: ['openrouter', 'litellm', 'helicone'],
+    DEFAULT_CACHE_HIT_RATIO: 0, // % of input tokens assumed to be prompt-cache reads
+    DEFAULT_PROMPT_SIZE: 0, // Assumed prompt tokens per request; 0 = always the base tier
+    DEFAULT_PRICING_MODE: 'on-demand', // 'on-demand' | 'batch' | 'flex'
+    DEFAULT_MODE_DISCOUNT: 50, // % off on-demand when a batch/flex rate isn't published
+    DEFAULT_HOST_BASIS: 'headline', // 'headline' | 'cheapest' OpenRouter host
+    DEFAULT_CURRENCY: 'USD',
+    DAYS_PER_MONTH: 30, // For the Est. Monthly Cost column
+    DEFAULT_PARETO_MODE: 'highlight', // 'off' | 'highlight' | 'only' (hide models off the frontier)
+    PRICING_MODE_NAMES: {
+      'on-demand': 'On-demand',
+      batch: 'Batch',
+      flex: 'Flex'
+    },
     DEFAULT_COLUMN_VISIBILITY: {
       'rank': true,
       'arena-score': true,
       'votes': true,
       'pricing': true,
       'bang-for-buck': true,
+      'monthly-cost': true,
       'model-age': true,
       'context-window': true,
       'modalities': true
@@ -56,6 +96,20 @@
   let currentProvider = CONFIG.DEFAULT_PROVIDER;
   let currentColumnVisibility = { ...CONFIG.DEFAULT_COLUMN_VISIBILITY };
   let battleNotificationEnabled = false;
+  let currentConsensusThreshold = CONFIG.DEFAULT_CONSENSUS_THRESHOLD;
+  let currentFallbackChain = [...CONFIG.DEFAULT_FALLBACK_CHAIN];
+  let currentCacheHitRatio = CONFIG.DEFAULT_CACHE_HIT_RATIO;
+  let currentPromptSize = CONFIG.DEFAULT_PROMPT_SIZE;
+  let currentPricingMode = CONFIG.DEFAULT_PRICING_MODE;
+  let currentModeDiscount = CONFIG.DEFAULT_MODE_DISCOUNT;
+  let customProviderName = CONFIG.PROVIDERS.custom.name;
+  let currentHostBasis = CONFIG.DEFAULT_HOST_BASIS;
+  let currentCurrency = CONFIG.DEFAULT_CURRENCY;
+  let currentExchangeRates = {}; // Refreshed or user-entered rates, over BUNDLED_EXCHANGE_RATES
+  let currentWatchlist = {}; // modelName -> last seen price and per-leaderboard standing
+  let currentBfbProfile = DEFAULT_BFB_PROFILE;
+  let currentWorkload = { ...DEFAULT_WORKLOAD };
+  let currentParetoMode = CONFIG.DEFAULT_PARETO_MODE;
 
   // Labs view detection
   function isLabsView() {
@@ -70,6 +124,29 @@
     return path === '/leaderboard' || path === '/leaderboard/';
   }
 
+  // Watchlist ranks are per leaderboard (and per filter, which reorders it);
+  // null on the mixed overview, where ranks aren't comparable
+  function getLeaderboardKey() {
+    const path = window.location.pathname.replace(/\/$/, '');
+    if (!path.startsWith('/leaderboard/')) return null;
+    const board = path.slice('/leaderboard/'.length);
+    // URLSearchParams decodes without throwing on a malformed % sequence
+    const query = [...new URLSearchParams(window.location.search)]
+      .map(([key, value]) => `${key}=${value}`)
+      .join('&');
+    return query ? `${board} (${query})` : board;
+  }
+
+  // Image and video leaderboards (/leaderboard/text-to-image, /leaderboard/image-edit,
+  // /leaderboard/text-to-video, ...) are priced per image or per second, not per token
+  function getLeaderboardMedia() {
+    const path = window.location.pathname;
+    if (!path.startsWith('/leaderboard/')) return null;
+    if (path.includes('video')) return 'video';
+    if (path.includes('image')) return 'image';
+    return null;
+  }
+
   // ============================================
   // Token Unit Helpers
   // ============================================
@@ -85,28 +162,378 @@
     return costPer1M * (targetUnit / 1000000);
   }
 
-  function formatCost(cost) {
-    return cost.toFixed(2);
+  function formatTokenCount(tokens) {
+    if (tokens >= 1000000) return `${parseFloat((tokens / 1000000).toFixed(1))}M`;
+    if (tokens >= 1000) return `${parseFloat((tokens / 1000).toFixed(1))}K`;
+    return tokens.toString();
+  }
+
+  // Display name for tooltip HTML; the custom provider's is user-entered
+  function getProviderName(provider) {
+    if (provider === 'custom') return escapeHtml(customProviderName);
+    return CONFIG.PROVIDERS[provider]?.name || provider;
+  }
+
+  // For user-entered text interpolated into tooltip HTML
+  function escapeHtml(text) {
+    return String(text).replace(/[&<>"']/g, ch => `&#${ch.charCodeAt(0)};`);
+  }
+
+  // What ModelMatcher trimmed off the Arena name before it found a match
+  const MATCH_TRANSFORMS = {
+    suffix: 'the preview, version or date suffix',
+    date: 'the date suffix',
+    thinking: 'the thinking variant',
+    'date-thinking': 'the date and thinking suffixes'
+  };
+
+  /**
+   * Explain how a record was matched, e.g. 'Longer id "gpt-4o-2024-05-13"
+   * after stripping the date suffix'.
+   * @param {Object} match - The `match` block the background attaches to records
+   */
+  function describeMatch(match) {
+    if (match.method === 'pinned') return 'Pinned manually';
+    const key = escapeHtml(match.key);
+    const how = {
+      exact: `Exact id "${key}"`,
+      alias: `Alias "${key}"`,
+      operator: `Provider rule for "${key}"`,
+      prefix: `Shorter id "${key}" (the name continues past it)`,
+      suffix: `Longer id "${key}"`
+    }[match.method];
+    const transform = match.transform ? ` after stripping ${MATCH_TRANSFORMS[match.transform]}` : '';
+    // Consensus records carry their weakest offer's match
+    const provider = match.provider ? `, ${getProviderName(match.provider)}` : '';
+    return `${how}${transform}${provider}`;
   }
 
   // ============================================
-  // Elo per Dollar Helpers (Logarithmic Formula with Rank Penalty)
+  // Currency Helpers
+  // ============================================
+  const currencyFormatters = new Map();
+
+  function getExchangeRate(currency) {
+    return currentExchangeRates[currency] ?? BUNDLED_EXCHANGE_RATES[currency] ?? 1;
+  }
+
+  /**
+   * Format a USD amount in the user's currency with the browser's locale
+   * conventions (symbol placement, decimal and grouping separators).
+   */
+  function formatPrice(costUsd) {
+    let formatter = currencyFormatters.get(currentCurrency);
+    if (!formatter) {
+      formatter = new Intl.NumberFormat(undefined, {
+        style: 'currency',
+        currency: currentCurrency,
+        minimumFractionDigits: 2,
+        maximumFractionDigits: 2
+      });
+      currencyFormatters.set(currentCurrency, formatter);
+    }
+    return formatter.format(costUsd * getExchangeRate(currentCurrency));
+  }
+
+  // Like formatPrice, but keeps three significant digits below one unit so
+  // per-request and per-image costs such as $0.00125 don't all round to $0.00
+  function formatSmallPrice(costUsd) {
+    const amount = costUsd * getExchangeRate(currentCurrency);
+    if (amount === 0 || Math.abs(amount) >= 1) return formatPrice(costUsd);
+    const key = `${currentCurrency}:small`;
+    let formatter = currencyFormatters.get(key);
+    if (!formatter) {
+      formatter = new Intl.NumberFormat(undefined, {
+        style: 'currency',
+        currency: currentCurrency,
+        maximumSignificantDigits: 3
+      });
+      currencyFormatters.set(key, formatter);
+    }
+    return formatter.format(amount);
+  }
+
+  // ============================================
+  // Effective Pricing Helpers
+  // ============================================
+
+  /**
+   * The long-context tier a request of the assumed prompt size falls into,
+   * or null when the base rates apply.
+   */
+  function getActiveTier(pricing, promptSize = currentPromptSize) {
+    if (!pricing.tiers || promptSize <= 0) return null;
+    let active = null;
+    for (const tier of pricing.tiers) {
+      if (promptSize > tier.above_tokens) active = tier;
+    }
+    return active;
+  }
+
+  /**
+   * Multipliers from on-demand to the selected batch/flex mode. Published
+   * rates are expressed relative to the on-demand price so they also scale
+   * long-context tiers; unpublished sides use the configured discount.
+   * @returns {{input: number, output: number, published: boolean}}
+   */
+  function getModeFactors(pricing) {
+    if (currentPricingMode === 'on-demand') return { input: 1, output: 1, published: false };
+
+    const fallback = 1 - currentModeDiscount / 100;
+    const rates = pricing.modes?.[currentPricingMode];
+    const factor = (rate, base) => (rate !== null && rate !== undefined && base > 0) ? rate / base : fallback;
+
+    return {
+      input: factor(rates?.input_cost_per_1m, pricing.input_cost_per_1m),
+      output: factor(rates?.output_cost_per_1m, pricing.output_cost_per_1m),
+      published: !!rates
+    };
+  }
+
+  /**
+   * The rates the columns start from: OpenRouter's cheapest host when that
+   * option is on (hosts arrive sorted cheapest first), otherwise the
+   * headline price.
+   */
+  function getPriceBasis(pricing) {
+    if (currentHostBasis !== 'cheapest' || !pricing.hosts) return pricing;
+    const host = pricing.hosts[0];
+    return {
+      ...pricing,
+      input_cost_per_1m: host.input_cost_per_1m,
+      output_cost_per_1m: host.output_cost_per_1m,
+      cache_read_cost_per_1m: host.cache_read_cost_per_1m
+    };
+  }
+
+  /**
+   * Resolve the per-1M input/output prices the Pricing and Bang for Buck
+   * columns use: the headline or cheapest-host rates, the long-context tier
+   * for the assumed prompt size, the batch/flex discount, then the assumed
+   * share of input tokens that are prompt-cache reads. Models without a
+   * published cache-read rate keep their regular input price.
+   * @param {Object} record - A pricing record from the background worker
+   * @param {Object} [assumptions] - Prompt size and cache-hit % to use instead of the popup's
+   * @returns {{input_cost_per_1m: number, output_cost_per_1m: number}}
+   */
+  function getEffectivePricing(record, { promptSize = currentPromptSize, cacheHitRatio = currentCacheHitRatio } = {}) {
+    const pricing = getPriceBasis(record);
+    const tier = getActiveTier(pricing, promptSize);
+    const modeFactors = getModeFactors(pricing);
+    const baseInput = (tier?.input_cost_per_1m ?? (pricing.input_cost_per_1m || 0)) * modeFactors.input;
+    const output = (tier?.output_cost_per_1m ?? (pricing.output_cost_per_1m || 0)) * modeFactors.output;
+    const cacheRead = tier?.cache_read_cost_per_1m ?? pricing.cache_read_cost_per_1m;
+    const hitRatio = cacheHitRatio / 100;
+
+    const input = hitRatio > 0 && cacheRead !== null && cacheRead !== undefined
+      ? baseInput * (1 - hitRatio) + cacheRead * modeFactors.input * hitRatio
+      : baseInput;
+
+    return {
+      input_cost_per_1m: input,
+      output_cost_per_1m: output
+    };
+  }
+
+  /**
+   * What the workload set in the popup costs on a model, in USD. The rates
+   * are the Pricing column's, with the tier for the workload's prompt size
+   * and its own cache-hit share when it sets one.
+   * @returns {{input: number, output: number, perRequest: number, perDay: number,
+   *   perMonth: number, rates: Object, cacheHitRatio: number}}
+   */
+  function estimateWorkloadCost(record) {
+    const workload = currentWorkload;
+    const cacheHitRatio = workload.cacheHitRatio ?? currentCacheHitRatio;
+    const rates = getEffectivePricing(record, { promptSize: workload.inputTokens, cacheHitRatio });
+    const input = rates.input_cost_per_1m * workload.inputTokens / 1000000;
+    const output = rates.output_cost_per_1m * workload.outputTokens / 1000000;
+    const perRequest = input + output;
+    const perDay = perRequest * workload.requestsPerDay;
+    return { input, output, perRequest, perDay, perMonth: perDay * CONFIG.DAYS_PER_MONTH, rates, cacheHitRatio };
+  }
+
+  function getPricingHeaderLabel() {
+    // Batch/flex only discounts token prices
+    return currentPricingMode === 'on-demand' || getLeaderboardMedia()
+      ? 'Pricing'
+      : `Pricing · ${CONFIG.PRICING_MODE_NAMES[currentPricingMode]}`;
+  }
+
+  function hasCachePricing(pricing) {
+    return pricing.cache_read_cost_per_1m !== null && pricing.cache_read_cost_per_1m !== undefined;
+  }
+
+  // ============================================
+  // Media Pricing Helpers
+  // ============================================
+
+  // bfbScale brings media prices to a magnitude comparable to per-1M token
+  // prices before Bang for Buck's log curve: per 100 images or megapixels,
+  // per minute of video
+  const MEDIA_UNITS = {
+    image: { label: 'image', bfbScale: 100 },
+    megapixel: { label: 'megapixel', bfbScale: 100 },
+    second: { label: 'second of video', bfbScale: 60 }
+  };
+
+  /**
+   * The price in the current leaderboard's unit, or null when the model
+   * only publishes per-token rates (or we aren't on an image/video board).
+   * @returns {{price: number, unit: string}|null}
+   */
+  function getMediaPrice(pricing) {
+    const media = pricing?.media;
+    if (!media) return null;
+    switch (getLeaderboardMedia()) {
+      case 'image':
+        if (media.per_image !== null) return { price: media.per_image, unit: 'image' };
+        if (media.per_megapixel !== null) return { price: media.per_megapixel, unit: 'megapixel' };
+        return null;
+      case 'video':
+        return media.per_second !== null ? { price: media.per_second, unit: 'second' } : null;
+      default:
+        return null;
+    }
+  }
+
+  // LiteLLM lists some image/video models with per-image or per-second prices
+  // only; their 0/0 token rates mean "not billed by the token", not "free"
+  function hasTokenPrice(pricing) {
+    return !pricing.media || pricing.input_cost_per_1m > 0 || pricing.output_cost_per_1m > 0;
+  }
+
+  // ============================================
+  // Price History Helpers
+  // ============================================
+
+  /**
+   * Direction of the list price change since the previous daily snapshot,
+   * judged by input + output.
+   * @returns {'down'|'up'|'changed'|null}
+   */
+  function getPriceChangeDirection(pricing) {
+    const previous = pricing?.priceChange;
+    if (!previous) return null;
+    const before = previous.input_cost_per_1m + previous.output_cost_per_1m;
+    const after = previous.current.input_cost_per_1m + previous.current.output_cost_per_1m;
+    if (after < before) return 'down';
+    if (after > before) return 'up';
+    return 'changed';
+  }
+
+  const PRICE_CHANGE_MARKS = { down: '▼', up: '▲', changed: '◆' };
+
+  /**
+   * Inline SVG trend line of input + output price across the snapshots.
+   * @param {Array} points - [[date, input, output], ...], oldest first
+   */
+  function renderSparkline(points, width = 200, height = 28) {
+    const totals = points.map(([, input, output]) => input + output);
+    const min = Math.min(...totals);
+    const range = Math.max(...totals) - min || 1;
+    const coords = totals.map((total, i) => {
+      const x = (i / (totals.length - 1)) * width;
+      const y = height - 2 - ((total - min) / range) * (height - 4);
+      return `${x.toFixed(1)},${y.toFixed(1)}`;
+    }).join(' ');
+
+    return `<svg class="lmarena-price-sparkline" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}" aria-hidden="true"><polyline points="${coords}"/></svg>`;
+  }
+
   // ============================================
-  const ELO_BASELINE = 1000;
+  // Consensus Helpers
+  // ============================================
+
+  /**
+   * Largest spread between providers' prices for one model, as a percentage
+   * of the cheapest offer. Input and output prices are compared separately.
+   * @param {Object} consensus - The `consensus` block of a consensus pricing record
+   * @returns {number} Spread in percent (Infinity if one provider lists it as free)
+   */
+  function getConsensusSpread(consensus) {
+    let spread = 0;
+    for (const key of ['input_cost_per_1m', 'output_cost_per_1m']) {
+      const prices = consensus.offers.map(offer => offer[key]);
+      const min = Math.min(...prices);
+      const max = Math.max(...prices);
+      if (max === min) continue;
+      spread = Math.max(spread, min > 0 ? ((max - min) / min) * 100 : Infinity);
+    }
+    return spread;
+  }
+
+  // Cheapest provider's total under the current pricing assumptions
+  function getConsensusMinTotal(consensus) {
+    return Math.min(...consensus.offers.map(offer => {
+      const effective = getEffectivePricing(offer);
+      return effective.input_cost_per_1m + effective.output_cost_per_1m;
+    }));
+  }
+
+  function isConsensusDisagreement(pricing) {
+    const consensus = pricing?.consensus;
+    if (!consensus || consensus.offers.length < 2) return false;
+    return getConsensusSpread(consensus) > currentConsensusThreshold;
+  }
 
-  // Rank decay base: Each rank gets this % of the previous rank's score
+  // ============================================
+  // Elo per Dollar Helpers (Logarithmic Formula with Rank Penalty)
+  // ============================================
+  // Rank decay (profile.decay): Each rank gets this % of the previous rank's score
   // 1.0 = no penalty (all ranks equal)
-  // 0.97 = gentle exponential decay (recommended)
+  // 0.97 = gentle exponential decay
   // 0.95 = moderate decay
-  // 0.90 = aggressive decay
-  const RANK_DECAY_BASE = 0.88;
+  // 0.88 = aggressive decay (built-in default)
+
+  // Blended $/1M below which every paid model counts as equally cheap, so
+  // near-free prices don't divide by almost log(1) = 0. Free models aren't
+  // scored at all (see _updateBfbCellContent)
+  const FREE_PRICE_FLOOR = 0.1;
+
+  // The profile picked in the popup, filled up with the built-in defaults
+  function getActiveBfbProfile(value) {
+    const profile = value?.profiles?.find(p => p.name === value.active);
+    return profile ? { ...DEFAULT_BFB_PROFILE, ...profile } : DEFAULT_BFB_PROFILE;
+  }
+
+  /**
+   * The 95% confidence interval around an Arena Score, from either a score
+   * cell like "1289 ±9" or "1289 +5/-6" or a separate "+5/-6" CI cell.
+   * @returns {{low: number, high: number}|null}
+   */
+  function parseScoreInterval(text, score) {
+    const symmetric = text.match(/±\s*(\d+(?:\.\d+)?)/);
+    if (symmetric) {
+      return { low: score - parseFloat(symmetric[1]), high: score + parseFloat(symmetric[1]) };
+    }
+    const asymmetric = text.match(/\+\s*(\d+(?:\.\d+)?)\s*\/\s*[-−]\s*(\d+(?:\.\d+)?)/);
+    if (asymmetric) {
+      return { low: score - parseFloat(asymmetric[2]), high: score + parseFloat(asymmetric[1]) };
+    }
+    return null;
+  }
+
+  // Rank Spread cells show the best and worst rank the CI allows, e.g. "1 ↔ 4"
+  function parseRankSpread(text) {
+    const ranks = (text.match(/\d+/g) || []).map(Number);
+    return ranks.length >= 2 ? { best: Math.min(...ranks), worst: Math.max(...ranks) } : null;
+  }
+
+  function describeBfbProfile(profile) {
+    const decay = profile.decay >= 1 ? 'no rank penalty' : `rank decay ${profile.decay}`;
+    const curve = profile.curve === 'linear' ? 'linear' : 'log';
+    return `${escapeHtml(profile.name)}: baseline ${profile.baseline} · ${decay} · ` +
+      `${Math.round(profile.inputWeight * 100)}% input · ${curve} price curve`;
+  }
 
   /**
    * Calculate Value Score using logarithmic price compression with exponential rank penalty
-   * Formula: (Elo - baseline) / log(1 + Price) × RANK_DECAY_BASE^(rank - 1)
+   * Formula: (Elo - baseline) / log(1 + max(Price, FREE_PRICE_FLOOR)) × decay^(rank - 1)
    * 
    * This formula compresses the "price penalty" - for a business, the difference
    * between $5 and $30 is not "6x the pain", it's just a higher tier of operating cost.
+   * Profiles can switch to a linear curve (Elo per dollar) instead.
    * 
    * The exponential rank penalty ensures:
    * - Top ranks (1-10) are penalized gently
@@ -116,18 +543,20 @@
    * @param {number} inputCostPer1M - Input cost per 1M tokens
    * @param {number} outputCostPer1M - Output cost per 1M tokens
    * @param {number} rank - The model's rank (1 = best, higher = worse)
+   * @param {Object} profile - Scoring profile ({ baseline, decay, inputWeight, curve })
    * @returns {number|null} - Value score or null if not calculable
    */
-  function calculateBangForBuck(arenaScore, inputCostPer1M, outputCostPer1M, rank = 1) {
-    if (!arenaScore || arenaScore <= ELO_BASELINE) return null; // Need Elo > baseline for positive score
-    const blendedPrice = (inputCostPer1M + outputCostPer1M) / 2;
-    if (blendedPrice <= 0) return null; // Free models get N/A (can't calculate value ratio)
-    // Base formula: (Elo - baseline) / log(1 + Price)
-    const baseScore = (arenaScore - ELO_BASELINE) / Math.log(1 + blendedPrice);
-    // Apply exponential rank penalty: multiply by RANK_DECAY_BASE^(rank-1)
+  function calculateBangForBuck(arenaScore, inputCostPer1M, outputCostPer1M, rank = 1, profile = currentBfbProfile) {
+    const { baseline, decay, inputWeight, curve } = profile;
+    if (!arenaScore || arenaScore <= baseline) return null; // Need Elo > baseline for positive score
+    const blendedPrice = Math.max(inputCostPer1M * inputWeight + outputCostPer1M * (1 - inputWeight), FREE_PRICE_FLOOR);
+    // Base formula: (Elo - baseline) / log(1 + Price), or / Price on the linear curve
+    const priceFactor = curve === 'linear' ? blendedPrice : Math.log(1 + blendedPrice);
+    const baseScore = (arenaScore - baseline) / priceFactor;
+    // Apply exponential rank penalty: multiply by decay^(rank-1)
     // Rank 1 gets full score (1.0), each subsequent rank loses a fixed %
     const safeRank = Math.max(rank, 1);
-    const rankMultiplier = Math.pow(RANK_DECAY_BASE, safeRank - 1);
+    const rankMultiplier = Math.pow(decay, safeRank - 1);
     return baseScore * rankMultiplier;
   }
 
@@ -137,18 +566,61 @@
         CONFIG.TOKEN_UNIT_KEY,
         CONFIG.PROVIDER_KEY,
         CONFIG.COLUMN_VISIBILITY_KEY,
-        CONFIG.BATTLE_NOTIFICATION_KEY
+        CONFIG.BATTLE_NOTIFICATION_KEY,
+        CONFIG.CONSENSUS_THRESHOLD_KEY,
+        CONFIG.FALLBACK_CHAIN_KEY,
+        CONFIG.CACHE_HIT_RATIO_KEY,
+        CONFIG.PROMPT_SIZE_KEY,
+        CONFIG.PRICING_MODE_KEY,
+        CONFIG.MODE_DISCOUNT_KEY,
+        CONFIG.CUSTOM_PROVIDER_KEY,
+        CONFIG.HOST_BASIS_KEY,
+        CONFIG.CURRENCY_KEY,
+        CONFIG.EXCHANGE_RATES_KEY,
+        CONFIG.WATCHLIST_KEY,
+        CONFIG.BFB_PROFILES_KEY,
+        CONFIG.WORKLOAD_KEY,
+        CONFIG.PARETO_MODE_KEY
       ]);
       currentTokenUnit = result[CONFIG.TOKEN_UNIT_KEY] || CONFIG.DEFAULT_TOKEN_UNIT;
       currentProvider = result[CONFIG.PROVIDER_KEY] || CONFIG.DEFAULT_PROVIDER;
-      currentColumnVisibility = result[CONFIG.COLUMN_VISIBILITY_KEY] || { ...CONFIG.DEFAULT_COLUMN_VISIBILITY };
+      // Columns added since the visibility was saved start out visible
+      currentColumnVisibility = { ...CONFIG.DEFAULT_COLUMN_VISIBILITY, ...result[CONFIG.COLUMN_VISIBILITY_KEY] };
       battleNotificationEnabled = result[CONFIG.BATTLE_NOTIFICATION_KEY] ?? true;
+      currentConsensusThreshold = result[CONFIG.CONSENSUS_THRESHOLD_KEY] ?? CONFIG.DEFAULT_CONSENSUS_THRESHOLD;
+      currentFallbackChain = result[CONFIG.FALLBACK_CHAIN_KEY] || [...CONFIG.DEFAULT_FALLBACK_CHAIN];
+      currentCacheHitRatio = result[CONFIG.CACHE_HIT_RATIO_KEY] ?? CONFIG.DEFAULT_CACHE_HIT_RATIO;
+      currentPromptSize = result[CONFIG.PROMPT_SIZE_KEY] ?? CONFIG.DEFAULT_PROMPT_SIZE;
+      currentPricingMode = result[CONFIG.PRICING_MODE_KEY] || CONFIG.DEFAULT_PRICING_MODE;
+      currentModeDiscount = result[CONFIG.MODE_DISCOUNT_KEY] ?? CONFIG.DEFAULT_MODE_DISCOUNT;
+      customProviderName = result[CONFIG.CUSTOM_PROVIDER_KEY]?.name || CONFIG.PROVIDERS.custom.name;
+      currentHostBasis = result[CONFIG.HOST_BASIS_KEY] || CONFIG.DEFAULT_HOST_BASIS;
+      currentCurrency = result[CONFIG.CURRENCY_KEY] || CONFIG.DEFAULT_CURRENCY;
+      currentExchangeRates = result[CONFIG.EXCHANGE_RATES_KEY]?.rates || {};
+      currentWatchlist = result[CONFIG.WATCHLIST_KEY] || {};
+      currentBfbProfile = getActiveBfbProfile(result[CONFIG.BFB_PROFILES_KEY]);
+      currentWorkload = { ...DEFAULT_WORKLOAD, ...result[CONFIG.WORKLOAD_KEY] };
+      currentParetoMode = result[CONFIG.PARETO_MODE_KEY] || CONFIG.DEFAULT_PARETO_MODE;
     } catch (error) {
       console.warn('[LMArena Plus] Failed to load preferences:', error);
       currentTokenUnit = CONFIG.DEFAULT_TOKEN_UNIT;
       currentProvider = CONFIG.DEFAULT_PROVIDER;
       currentColumnVisibility = { ...CONFIG.DEFAULT_COLUMN_VISIBILITY };
       battleNotificationEnabled = false;
+      currentConsensusThreshold = CONFIG.DEFAULT_CONSENSUS_THRESHOLD;
+      currentFallbackChain = [...CONFIG.DEFAULT_FALLBACK_CHAIN];
+      currentCacheHitRatio = CONFIG.DEFAULT_CACHE_HIT_RATIO;
+      currentPromptSize = CONFIG.DEFAULT_PROMPT_SIZE;
+      currentPricingMode = CONFIG.DEFAULT_PRICING_MODE;
+      currentModeDiscount = CONFIG.DEFAULT_MODE_DISCOUNT;
+      customProviderName = CONFIG.PROVIDERS.custom.name;
+      currentHostBasis = CONFIG.DEFAULT_HOST_BASIS;
+      currentCurrency = CONFIG.DEFAULT_CURRENCY;
+      currentExchangeRates = {};
+      currentWatchlist = {};
+      currentBfbProfile = DEFAULT_BFB_PROFILE;
+      currentWorkload = { ...DEFAULT_WORKLOAD };
+      currentParetoMode = CONFIG.DEFAULT_PARETO_MODE;
     }
   }
 
@@ -175,6 +647,7 @@
         }
         if (header.classList.contains('lmarena-price-header') ||
           header.classList.contains('lmarena-bfb-header') ||
+          header.classList.contains('lmarena-cost-header') ||
           header.classList.contains('lmarena-age-header') ||
           header.classList.contains('lmarena-ctx-header') ||
           header.classList.contains('lmarena-mod-header')) {
@@ -218,6 +691,7 @@
     const columnVisibilityMap = {
       pricing: { header: '.lmarena-price-header', cell: '.lmarena-price-cell' },
       'bang-for-buck': { header: '.lmarena-bfb-header', cell: '.lmarena-bfb-cell' },
+      'monthly-cost': { header: '.lmarena-cost-header', cell: '.lmarena-cost-cell' },
       'model-age': { header: '.lmarena-age-header', cell: '.lmarena-age-cell' },
       'context-window': { header: '.lmarena-ctx-header', cell: '.lmarena-ctx-cell' },
       modalities: { header: '.lmarena-mod-header', cell: '.lmarena-mod-cell' }
@@ -238,6 +712,7 @@
       const classMap = {
         'price': 'lmarena-price-cell--loading',
         'bfb': 'lmarena-bfb-cell--loading',
+        'cost': 'lmarena-cost-cell--loading',
         'age': 'lmarena-age-cell--loading',
         'ctx': 'lmarena-ctx-cell--loading',
         'mod': 'lmarena-mod-cell--loading'
@@ -248,7 +723,7 @@
         if (loading) {
           cell.textContent = 'Loading';
           cell.classList.add(loadingClass);
-          cell.classList.remove('lmarena-price-cell--na', 'lmarena-bfb-cell--na', 'lmarena-age-cell--na', 'lmarena-ctx-cell--na', 'lmarena-mod-cell--na');
+          cell.classList.remove('lmarena-price-cell--na', 'lmarena-bfb-cell--na', 'lmarena-cost-cell--na', 'lmarena-age-cell--na', 'lmarena-ctx-cell--na', 'lmarena-mod-cell--na');
         } else {
           cell.classList.remove(loadingClass);
         }
@@ -380,389 +855,106 @@
   }
 
   // ============================================
-  // Model Matcher Utility (Shared by all services)
+  // Provider Client (Lookups served by background.js)
   // ============================================
-  const ModelMatcher = {
-    /**
-     * Normalize a model name for matching.
-     * Handles URL encoding, version separators, and whitespace.
-     */
-    normalizeModelName(name) {
-      if (!name) return '';
-      return name
-        .toLowerCase()
-        .replace(/%3a/gi, ':')
-        // Normalize versions: 4-5 -> 4.5, 3_5 -> 3.5 (only between single digits)
-        .replace(/(^|[^0-9])(\d)[-_](\d)(?![0-9])/g, '$1$2.$3')
-        .replace(/\s+/g, '-')
-        .trim();
-    },
-
-    /**
-     * Check if a character position represents a version number continuation.
-     * This prevents gpt-4 from matching gpt-4.5
-     */
-    _isVersionContinuation(str, pos, key) {
-      const charAfter = str[pos];
-      const charAfterPlus1 = str[pos + 1];
-      return (charAfter === '.' || charAfter === '-') &&
-        charAfterPlus1 >= '0' && charAfterPlus1 <= '9' &&
-        key[key.length - 1] >= '0' && key[key.length - 1] <= '9';
-    },
-
-    /**
-     * Strip common suffixes like -preview, -beta, -latest
-     */
-    _stripSuffixes(normalized) {
-      return normalized
-        .replace(/[.-](preview|beta|latest|v\d+)(\b|$)/gi, '')
-        .replace(/[.-]\d{8}(\b|$)/g, '');
-    },
-
-    /**
-     * Strip date patterns like -20250929
-     */
-    _stripDates(normalized) {
-      return normalized
-        .replace(/[.-]20\d{6}(?=[.-]|$)/g, '')
-        .replace(/--+/g, '-')
-        .replace(/[.-]$/, '')
-        .trim();
-    },
+  // Fetching, matching and caching happen once in the background worker
+  // for all arena.ai tabs; this keeps the resolved results per model name
+  // so cell rendering can stay synchronous.
+  class ProviderClient {
+    constructor() {
+      this.pricingResults = new Map(); // modelName -> pricing record | null
+      this.contextResults = new Map(); // modelName -> context record | null
+      this.hostsRequested = new Set(); // Model names whose hosts a tooltip already asked for
+      this.generation = 0;
+    }
 
-    /**
-     * Strip thinking variants like (thinking-minimal), -thinking-32k
-     */
-    _stripThinking(normalized) {
-      return normalized
-        .replace(/\(thinking[^)]*\)/g, '')
-        .replace(/[.-]thinking(-[a-z0-9]+)*$/i, '')
-        .replace(/[.-]thinking$/i, '')
-        .replace(/--+/g, '-')
-        .replace(/[.-]$/, '')
-        .trim();
-    },
+    has(modelName) {
+      return this.pricingResults.has(modelName);
+    }
 
     /**
-     * Core matching logic: find best match in a map using prefix/suffix matching.
-     * @param {Map} map - The map to search in
-     * @param {string} searchTerm - The normalized search term
-     * @param {boolean} checkOperators - Whether to check operator-based matching (for Helicone)
-     * @returns {any} The matched entry or null
+     * Resolve any model names not looked up yet.
+     * @param {string[]} modelNames - Arena model names
+     * @returns {Promise<boolean>} True if new results were stored
      */
-    _findMatchInMap(map, searchTerm, checkOperators = false) {
-      // 1. Exact match
-      if (map.has(searchTerm)) {
-        return map.get(searchTerm);
-      }
-
-      // 2. Operator-based matching (Helicone data only)
-      if (checkOperators) {
-        let operatorMatch = null;
-        let operatorMatchLength = 0;
-        for (const [key, entry] of map) {
-          if (entry.operator === 'includes' && searchTerm.includes(key)) {
-            if (key.length > operatorMatchLength) {
-              operatorMatch = entry;
-              operatorMatchLength = key.length;
-            }
-          }
-          if (entry.operator === 'startsWith' && searchTerm.startsWith(key)) {
-            if (key.length > operatorMatchLength) {
-              operatorMatch = entry;
-              operatorMatchLength = key.length;
-            }
-          }
-        }
-        if (operatorMatch) return operatorMatch;
-      }
-
-      // 3. Prefix matching - search term starts with key
-      let bestMatch = null;
-      let bestMatchLength = 0;
-
-      for (const [key, entry] of map) {
-        if (searchTerm.startsWith(key)) {
-          const charAfterKey = searchTerm[key.length];
-          if (charAfterKey === undefined ||
-            ((charAfterKey === '-' || charAfterKey === '.' || charAfterKey === '/' || charAfterKey === ':') &&
-              !this._isVersionContinuation(searchTerm, key.length, key))) {
-            if (key.length > bestMatchLength) {
-              bestMatch = entry;
-              bestMatchLength = key.length;
-            }
-          }
+    async lookup(modelNames) {
+      const missing = [...new Set(modelNames)].filter(name => !this.has(name));
+      if (missing.length === 0) return false;
+
+      const generation = this.generation;
+      const namesToSend = missing.filter(Boolean);
+      let response = null;
+      if (namesToSend.length > 0) {
+        try {
+          response = await chrome.runtime.sendMessage({
+            type: 'LOOKUP_MODELS',
+            provider: currentProvider,
+            fallback: currentFallbackChain,
+            modelNames: namesToSend
+          });
+          if (!response || response.error) throw new Error(response?.error || 'No response');
+        } catch (error) {
+          console.error('[LMArena Plus] Failed to look up models:', error);
+          response = null;
         }
       }
 
-      if (bestMatch) return bestMatch;
-
-      // 4. Suffix matching - key starts with search term
-      let shortestMatch = null;
-      let shortestMatchLength = Infinity;
+      // Results requested before a provider switch or data refresh are outdated
+      if (generation !== this.generation) return false;
 
-      for (const [key, entry] of map) {
-        if (key.startsWith(searchTerm)) {
-          const charAfterNormalized = key[searchTerm.length];
-          if (charAfterNormalized === '-' || charAfterNormalized === '.' || charAfterNormalized === '/' || charAfterNormalized === ':') {
-            if (key.length < shortestMatchLength) {
-              shortestMatch = entry;
-              shortestMatchLength = key.length;
-            }
-          }
-        }
+      // Failed lookups are stored as misses so cells fall back to N/A instead of loading forever
+      for (const name of missing) {
+        this.pricingResults.set(name, response?.pricing?.[name] || null);
+        this.contextResults.set(name, response?.context?.[name] || null);
       }
-
-      return shortestMatch;
-    },
+      return true;
+    }
 
     /**
-     * Find the best match for a model name in a map.
-     * Tries multiple normalization strategies in order.
-     * @param {Map} map - The map to search in
-     * @param {string} modelName - The original model name
-     * @param {Object} options - Options: { checkOperators: boolean }
-     * @returns {any} The matched entry or null
+     * Look one OpenRouter-priced model up again with its hosts fetched. The
+     * background only fetches hosts for every model under the cheapest-host
+     * basis; otherwise the tooltip asks for the hovered one here.
+     * @returns {Promise<Object|null>} The updated pricing record, or null if there was nothing to fetch
      */
-    findMatch(map, modelName, options = {}) {
-      const checkOperators = options.checkOperators || false;
-      const normalized = this.normalizeModelName(modelName);
-
-      // 1. Direct match with normalized name
-      let result = this._findMatchInMap(map, normalized, checkOperators);
-      if (result) return result;
-
-      // 2. Try without common suffixes
-      const withoutSuffix = this._stripSuffixes(normalized);
-      if (withoutSuffix !== normalized) {
-        result = this._findMatchInMap(map, withoutSuffix, checkOperators);
-        if (result) return result;
-      }
-
-      // 3. Try without date patterns
-      const withoutDates = this._stripDates(normalized);
-      if (withoutDates !== normalized && withoutDates.length > 0) {
-        result = this._findMatchInMap(map, withoutDates, checkOperators);
-        if (result) return result;
-      }
-
-      // 4. Try without thinking variants
-      const withoutThinking = this._stripThinking(normalized);
-      if (withoutThinking !== normalized && withoutThinking.length > 0) {
-        result = this._findMatchInMap(map, withoutThinking, checkOperators);
-        if (result) return result;
-      }
-
-      // 5. Try stripping BOTH dates AND thinking
-      const withoutDatesAndThinking = this._stripThinking(withoutDates);
-      if (withoutDatesAndThinking !== normalized &&
-        withoutDatesAndThinking !== withoutDates &&
-        withoutDatesAndThinking !== withoutThinking &&
-        withoutDatesAndThinking.length > 0) {
-        result = this._findMatchInMap(map, withoutDatesAndThinking, checkOperators);
-        if (result) return result;
-      }
-
-      return null;
-    }
-  };
-
-  // ============================================
-  // Context Service (Always from OpenRouter)
-  // ============================================
-  class ContextService {
-    constructor() {
-      this.contextMap = new Map();
-      this.isLoading = false;
-    }
-
-    async initialize() {
-      this.isLoading = true;
-
-      await this._fetchContextData();
-      this.isLoading = false;
-    }
-
-    async _fetchContextData() {
-      try {
-        const response = await fetch(CONFIG.PROVIDERS.openrouter.url, { cache: 'no-store' });
-        if (!response.ok) throw new Error(`HTTP ${response.status}`);
-
-        const data = await response.json();
-        this._buildContextMap(data);
-
-      } catch (error) {
-        console.error('[LMArena Plus] Failed to fetch context data from OpenRouter:', error);
-      }
-    }
-
-    _buildContextMap(data) {
-      const models = data.data || [];
-
-      for (const model of models) {
-        if (!model.id) continue;
-
-        const key = ModelMatcher.normalizeModelName(model.id);
-        const hasExplicitModalities = !!(model.architecture?.input_modalities || model.architecture?.output_modalities);
-        const contextData = {
-          context_length: model.context_length || null,
-          created: model.created || null,
-          input_modalities: model.architecture?.input_modalities || ['text'],
-          output_modalities: model.architecture?.output_modalities || ['text'],
-          hasExplicitModalities: hasExplicitModalities,
-          sourceModelName: model.id
-        };
-
-        if (!this.contextMap.has(key)) {
-          this.contextMap.set(key, contextData);
-        }
-
-        const shortKey = key.split('/').pop();
-        if (shortKey && shortKey !== key && !this.contextMap.has(shortKey)) {
-          this.contextMap.set(shortKey, contextData);
-        }
-      }
-    }
-
-    getContext(modelName) {
-      return ModelMatcher.findMatch(this.contextMap, modelName);
-    }
-  }
-
-  // ============================================
-  // Pricing Service (No Caching - Always Fresh)
-  // ============================================
-  class PricingService {
-    constructor() {
-      this.pricingMap = new Map();
-      this.currentProvider = null;
-      this.isLoading = false;
-    }
-
-    async initialize(provider) {
-      this.currentProvider = provider;
-      this.isLoading = true;
-      await this._fetchPricing(provider);
-      this.isLoading = false;
-    }
-
-    async switchProvider(provider) {
-      this.pricingMap.clear();
-      this.currentProvider = provider;
-      await this.initialize(provider);
-    }
-
-    async _fetchPricing(provider) {
-      const config = CONFIG.PROVIDERS[provider];
-      if (!config) return;
+    async loadHosts(modelName) {
+      const pricing = this.getPricing(modelName);
+      if (!pricing || pricing.hosts || this.hostsRequested.has(modelName)) return null;
+      if ((pricing.fallbackProvider || currentProvider) !== 'openrouter') return null;
+      this.hostsRequested.add(modelName);
 
+      const generation = this.generation;
       try {
-        const response = await fetch(config.url, { cache: 'no-store' });
-        if (!response.ok) throw new Error(`HTTP ${response.status}`);
-
-        const data = await response.json();
-        this._buildPricingMap(data, provider);
-
+        const response = await chrome.runtime.sendMessage({
+          type: 'LOOKUP_MODELS',
+          provider: currentProvider,
+          fallback: currentFallbackChain,
+          modelNames: [modelName],
+          fetchHosts: true
+        });
+        if (!response || response.error) throw new Error(response?.error || 'No response');
+        if (generation !== this.generation) return null;
+        const updated = response.pricing?.[modelName] || null;
+        if (updated) this.pricingResults.set(modelName, updated);
+        return updated;
       } catch (error) {
-        console.error(`[LMArena Plus] Failed to fetch pricing from ${provider}:`, error);
-      }
-    }
-
-    _buildPricingMap(data, provider) {
-      this.pricingMap.clear();
-
-      switch (provider) {
-        case 'helicone':
-          this._buildHeliconeMap(data);
-          break;
-        case 'litellm':
-          this._buildLiteLLMMap(data);
-          break;
-        case 'openrouter':
-          this._buildOpenRouterMap(data);
-          break;
-      }
-    }
-
-    _buildHeliconeMap(data) {
-      const entries = data.data || data;
-      if (!Array.isArray(entries)) return;
-
-      for (const entry of entries) {
-        const key = ModelMatcher.normalizeModelName(entry.model);
-        const pricing = {
-          input_cost_per_1m: entry.input_cost_per_1m || 0,
-          output_cost_per_1m: entry.output_cost_per_1m || 0,
-          operator: entry.operator || 'equals',
-          sourceModelName: entry.model
-        };
-
-        if (!this.pricingMap.has(key)) {
-          this.pricingMap.set(key, pricing);
-        }
-
-        const shortKey = key.split('/').pop();
-        if (shortKey && shortKey !== key && !this.pricingMap.has(shortKey)) {
-          this.pricingMap.set(shortKey, pricing);
-        }
+        console.error('[LMArena Plus] Failed to load OpenRouter hosts:', error);
+        return null;
       }
     }
 
-    _buildLiteLLMMap(data) {
-      for (const [modelName, modelData] of Object.entries(data)) {
-        if (modelName === 'sample_spec') continue;
-        if (!modelData.input_cost_per_token && !modelData.output_cost_per_token) continue;
-
-        const key = ModelMatcher.normalizeModelName(modelName);
-        const pricing = {
-          input_cost_per_1m: (modelData.input_cost_per_token || 0) * 1000000,
-          output_cost_per_1m: (modelData.output_cost_per_token || 0) * 1000000,
-          operator: 'equals',
-          sourceModelName: modelName
-        };
-
-        if (!this.pricingMap.has(key)) {
-          this.pricingMap.set(key, pricing);
-        }
-
-        const shortKey = key.split('/').pop();
-        if (shortKey && shortKey !== key && !this.pricingMap.has(shortKey)) {
-          this.pricingMap.set(shortKey, pricing);
-        }
-      }
+    clear() {
+      this.pricingResults.clear();
+      this.contextResults.clear();
+      this.hostsRequested.clear();
+      this.generation++;
     }
 
-    _buildOpenRouterMap(data) {
-      const models = data.data || [];
-
-      for (const model of models) {
-        if (!model.id || !model.pricing) continue;
-
-        const key = ModelMatcher.normalizeModelName(model.id);
-        const promptPrice = parseFloat(model.pricing.prompt) || 0;
-        const completionPrice = parseFloat(model.pricing.completion) || 0;
-
-        const pricing = {
-          input_cost_per_1m: promptPrice * 1000000,
-          output_cost_per_1m: completionPrice * 1000000,
-          operator: 'equals',
-          sourceModelName: model.id
-        };
-
-        if (!this.pricingMap.has(key)) {
-          this.pricingMap.set(key, pricing);
-        }
-
-        const shortKey = key.split('/').pop();
-        if (shortKey && shortKey !== key && !this.pricingMap.has(shortKey)) {
-          this.pricingMap.set(shortKey, pricing);
-        }
-      }
+    getPricing(modelName) {
+      return this.pricingResults.get(modelName) || null;
     }
 
-    getPricing(modelName) {
-      // Use checkOperators for Helicone's includes/startsWith matching
-      return ModelMatcher.findMatch(this.pricingMap, modelName, { checkOperators: true });
+    getContext(modelName) {
+      return this.contextResults.get(modelName) || null;
     }
   }
 
@@ -805,12 +997,19 @@
       const delay = this._prepareShow(element);
       const inputCost = convertCostToUnit(pricing.input_cost_per_1m || 0, currentTokenUnit);
       const outputCost = convertCostToUnit(pricing.output_cost_per_1m || 0, currentTokenUnit);
-      const providerName = CONFIG.PROVIDERS[currentProvider]?.name || 'Unknown';
+      const providerName = getProviderName(currentProvider) || 'Unknown';
+      // The selected provider had no entry, so a later provider in the fallback chain supplied it
+      const fallbackLabel = pricing.fallbackProvider
+        ? `${getProviderName(pricing.fallbackProvider)} (fallback, not listed by ${providerName})`
+        : providerName;
+      const sourceLabel = pricing.custom ? this._formatCustomSource(pricing.custom, providerName) : fallbackLabel;
       const sourceModelName = pricing.sourceModelName || 'Unknown model';
+      const consensus = pricing.consensus;
+      const priceLabel = consensus ? ' (median)' : '';
 
       this._showTooltipContent(element, `
         <div class="lmarena-price-tooltip__header">
-          <span class="lmarena-price-tooltip__header-title">${sourceModelName}</span>
+          <span class="lmarena-price-tooltip__header-title">${escapeHtml(sourceModelName)}</span>
           <span class="lmarena-price-tooltip__header-brand">
             <span class="lmarena-price-tooltip__header-brand-text"><em>Arena</em>.ai Plus</span>
             <img src="${this.iconUrl}" class="lmarena-price-tooltip__header-icon" alt="">
@@ -818,33 +1017,339 @@
         </div>
         <div class="lmarena-price-tooltip__breakdown">
           <div class="lmarena-price-tooltip__row">
-            <span class="lmarena-price-tooltip__label">Input tokens:</span>
-            <span class="lmarena-price-tooltip__value">$${formatCost(inputCost)}</span>
+            <span class="lmarena-price-tooltip__label">Input tokens${priceLabel}:</span>
+            <span class="lmarena-price-tooltip__value">${formatPrice(inputCost)}</span>
           </div>
           <div class="lmarena-price-tooltip__row">
-            <span class="lmarena-price-tooltip__label">Output tokens:</span>
-            <span class="lmarena-price-tooltip__value">$${formatCost(outputCost)}</span>
+            <span class="lmarena-price-tooltip__label">Output tokens${priceLabel}:</span>
+            <span class="lmarena-price-tooltip__value">${formatPrice(outputCost)}</span>
           </div>
+          ${this._renderCacheRows(pricing)}
+          ${this._renderModeRows(pricing)}
         </div>
-        <div class="lmarena-price-tooltip__source">Source: ${providerName}</div>
+        ${this._renderMediaRows(pricing)}
+        ${this._renderTierRows(pricing)}
+        ${this._renderHostRows(pricing)}
+        ${consensus ? this._renderConsensusOffers(pricing) : ''}
+        ${this._renderFreeVariantNote(pricing)}
+        ${this._renderParetoNote(element)}
+        ${this._renderHistoryRows(pricing)}
+        <div class="lmarena-price-tooltip__source">Source: ${sourceLabel}${consensus ? ` (${consensus.offers.length} of ${consensus.providerCount} providers)` : ''}</div>
+        ${this._renderMatchLine(pricing.match)}
       `, delay);
     }
 
-    hide() {
-      clearTimeout(this.showTimeout);
-      this.hideTimeout = setTimeout(() => {
-        this.tooltip.classList.remove('lmarena-price-tooltip--visible');
-        this.currentElement = null;
-      }, CONFIG.TOOLTIP_HIDE_DELAY);
-    }
-
-    showModalities(element, modData) {
+    showBangForBuck(element, data) {
       const delay = this._prepareShow(element);
-      const inputMods = modData.input_modalities || ['text'];
-      const outputMods = modData.output_modalities || ['text'];
-
-      const MODALITY_NAMES = { text: 'Text', image: 'Image', audio: 'Audio', video: 'Video', file: 'File' };
-      const formatRow = (mods) => mods.map(k => MODALITY_NAMES[k] || k).join(', ') || 'None';
+      const { arenaScore, rank, valueScore, range, free, scoreInterval, rankRange, pricing } = data;
+      const row = (label, value) => `
+          <div class="lmarena-price-tooltip__row">
+            <span class="lmarena-price-tooltip__label">${label}:</span>
+            <span class="lmarena-price-tooltip__value">${value}</span>
+          </div>`;
+      const medal = element._bfbMedal;
+      let medalNote = '';
+      if (medal?.tiedWith) {
+        medalNote = `${medal.medal} tied with ${medal.tiedWith} other model${medal.tiedWith === 1 ? '' : 's'} whose ranges overlap in turn`;
+      } else if (medal && range) {
+        medalNote = `${medal.medal} clear of the next model's range`;
+      }
+
+      this._showTooltipContent(element, `
+        <div class="lmarena-price-tooltip__header">
+          <span class="lmarena-price-tooltip__header-title">${escapeHtml(pricing.sourceModelName || 'Unknown model')}</span>
+          <span class="lmarena-price-tooltip__header-brand">
+            <span class="lmarena-price-tooltip__header-brand-text"><em>Arena</em>.ai Plus</span>
+            <img src="${this.iconUrl}" class="lmarena-price-tooltip__header-icon" alt="">
+          </span>
+        </div>
+        <div class="lmarena-price-tooltip__breakdown">
+          ${row('Arena Score', scoreInterval ? `${arenaScore} (95% CI ${scoreInterval.low}–${scoreInterval.high})` : arenaScore)}
+          ${row('Rank', rankRange ? `${rank} (spread ${rankRange.best}–${rankRange.worst})` : rank)}
+          ${row('Bang for Buck', valueScore !== null ? Math.round(valueScore) : (free ? 'Free' : 'N/A'))}
+          ${range ? row('95% range', `${Math.round(range.low)}–${Math.round(range.high)}`) : ''}
+        </div>
+        ${medalNote ? `<div class="lmarena-price-tooltip__note">${medalNote}</div>` : ''}
+        ${free
+          ? '<div class="lmarena-price-tooltip__note">Free models aren\'t scored: with no price to divide by they would outrank every paid model. They sort last and take no medal</div>'
+          : (range ? '' : '<div class="lmarena-price-tooltip__note">No confidence interval on this leaderboard; medals use the point estimate</div>')}
+        <div class="lmarena-price-tooltip__source">Profile ${describeBfbProfile(currentBfbProfile)}</div>
+      `, delay);
+    }
+
+    showCost(element, pricing, estimate) {
+      const delay = this._prepareShow(element);
+      const { inputTokens, outputTokens, requestsPerDay } = currentWorkload;
+      const row = (label, value, active = false) => `
+          <div class="lmarena-price-tooltip__row${active ? ' lmarena-price-tooltip__row--active' : ''}">
+            <span class="lmarena-price-tooltip__label">${label}:</span>
+            <span class="lmarena-price-tooltip__value">${value}</span>
+          </div>`;
+      const rates = `${formatPrice(estimate.rates.input_cost_per_1m)} / ${formatPrice(estimate.rates.output_cost_per_1m)} per 1M`;
+      const cacheNote = estimate.cacheHitRatio > 0 && hasCachePricing(pricing)
+        ? `, ${estimate.cacheHitRatio}% of input read from cache`
+        : '';
+
+      this._showTooltipContent(element, `
+        <div class="lmarena-price-tooltip__header">
+          <span class="lmarena-price-tooltip__header-title">${escapeHtml(pricing.sourceModelName || 'Unknown model')}</span>
+          <span class="lmarena-price-tooltip__header-brand">
+            <span class="lmarena-price-tooltip__header-brand-text"><em>Arena</em>.ai Plus</span>
+            <img src="${this.iconUrl}" class="lmarena-price-tooltip__header-icon" alt="">
+          </span>
+        </div>
+        <div class="lmarena-price-tooltip__breakdown">
+          ${row(`Input (${formatTokenCount(inputTokens)} tokens)`, formatSmallPrice(estimate.input))}
+          ${row(`Output (${formatTokenCount(outputTokens)} tokens)`, formatSmallPrice(estimate.output))}
+          ${row('Per request', formatSmallPrice(estimate.perRequest))}
+        </div>
+        <div class="lmarena-price-tooltip__breakdown">
+          ${row(`Per day (${requestsPerDay.toLocaleString()} requests)`, formatPrice(estimate.perDay))}
+          ${row(`Per month (${CONFIG.DAYS_PER_MONTH} days)`, formatPrice(estimate.perMonth), true)}
+          <div class="lmarena-price-tooltip__note">At ${rates}${cacheNote}</div>
+        </div>
+        <div class="lmarena-price-tooltip__source">Workload set in the extension popup</div>
+      `, delay);
+    }
+
+    showContext(element, context) {
+      const delay = this._prepareShow(element);
+      const modalities = (list) => list.map(escapeHtml).join(', ');
+
+      this._showTooltipContent(element, `
+        <div class="lmarena-price-tooltip__header">
+          <span class="lmarena-price-tooltip__header-title">${escapeHtml(context.sourceModelName)}</span>
+          <span class="lmarena-price-tooltip__header-brand">
+            <span class="lmarena-price-tooltip__header-brand-text"><em>Arena</em>.ai Plus</span>
+            <img src="${this.iconUrl}" class="lmarena-price-tooltip__header-icon" alt="">
+          </span>
+        </div>
+        <div class="lmarena-price-tooltip__breakdown">
+          <div class="lmarena-price-tooltip__row">
+            <span class="lmarena-price-tooltip__label">Context window:</span>
+            <span class="lmarena-price-tooltip__value">${context.context_length ? `${formatTokenCount(context.context_length)} tokens` : '—'}</span>
+          </div>
+          <div class="lmarena-price-tooltip__row">
+            <span class="lmarena-price-tooltip__label">Input / output:</span>
+            <span class="lmarena-price-tooltip__value">${modalities(context.input_modalities)} / ${modalities(context.output_modalities)}</span>
+          </div>
+        </div>
+        <div class="lmarena-price-tooltip__source">Source: OpenRouter</div>
+        ${this._renderMatchLine(context.match)}
+      `, delay);
+    }
+
+    _renderMatchLine(match) {
+      if (!match) return '';
+      return `<div class="lmarena-price-tooltip__match lmarena-price-tooltip__match--${match.confidence}">Match: ${describeMatch(match)} · ${match.confidence} confidence</div>`;
+    }
+
+    /**
+     * Source line for a price the user's overrides changed, naming the rule
+     * and the list price it replaced.
+     */
+    _formatCustomSource(custom, providerName) {
+      const listSource = custom.listProvider
+        ? getProviderName(custom.listProvider)
+        : providerName;
+      const ruleLabel = custom.type === 'vendor'
+        ? `${custom.discount}% off "${escapeHtml(custom.rule)}"`
+        : `contract price for "${escapeHtml(custom.rule)}"`;
+      const listLabel = custom.listInput === null
+        ? `not listed by ${listSource}`
+        : `list ${formatPrice(convertCostToUnit(custom.listInput, currentTokenUnit))} / ${formatPrice(convertCostToUnit(custom.listOutput, currentTokenUnit))} from ${listSource}`;
+      return `Custom (${ruleLabel}; ${listLabel})`;
+    }
+
+    _renderCacheRows(pricing) {
+      const row = (label, costPer1M) => `
+          <div class="lmarena-price-tooltip__row">
+            <span class="lmarena-price-tooltip__label">${label}:</span>
+            <span class="lmarena-price-tooltip__value">${formatPrice(convertCostToUnit(costPer1M, currentTokenUnit))}</span>
+          </div>`;
+
+      let html = '';
+      if (hasCachePricing(pricing)) {
+        html += row('Cached input (read)', pricing.cache_read_cost_per_1m);
+      }
+      if (pricing.cache_write_cost_per_1m !== null && pricing.cache_write_cost_per_1m !== undefined) {
+        html += row('Cache write', pricing.cache_write_cost_per_1m);
+      }
+      if (currentCacheHitRatio > 0) {
+        html += hasCachePricing(pricing)
+          ? row(`Effective input (${currentCacheHitRatio}% cached)`, getEffectivePricing(pricing).input_cost_per_1m)
+          : '<div class="lmarena-price-tooltip__note">No cached-input rate published; full input price used</div>';
+      }
+      return html;
+    }
+
+    _renderModeRows(pricing) {
+      if (currentPricingMode === 'on-demand') return '';
+      const effective = getEffectivePricing(pricing);
+      const modeName = CONFIG.PRICING_MODE_NAMES[currentPricingMode];
+      const origin = getModeFactors(pricing).published
+        ? 'published rate'
+        : `estimated at ${currentModeDiscount}% off`;
+
+      return `
+          <div class="lmarena-price-tooltip__row">
+            <span class="lmarena-price-tooltip__label">${modeName} (in / out):</span>
+            <span class="lmarena-price-tooltip__value">${formatPrice(convertCostToUnit(effective.input_cost_per_1m, currentTokenUnit))} / ${formatPrice(convertCostToUnit(effective.output_cost_per_1m, currentTokenUnit))}</span>
+          </div>
+          <div class="lmarena-price-tooltip__note">${modeName} pricing: ${origin}</div>`;
+    }
+
+    _renderMediaRows(pricing) {
+      if (!pricing.media) return '';
+      const rows = [
+        ['Per image', pricing.media.per_image],
+        ['Per megapixel', pricing.media.per_megapixel],
+        ['Per second of video', pricing.media.per_second]
+      ].filter(([, price]) => price !== null).map(([label, price]) => `
+          <div class="lmarena-price-tooltip__row">
+            <span class="lmarena-price-tooltip__label">${label}:</span>
+            <span class="lmarena-price-tooltip__value">${formatSmallPrice(price)}</span>
+          </div>`).join('');
+
+      return `
+        <div class="lmarena-price-tooltip__breakdown">
+          ${rows}
+        </div>`;
+    }
+
+    _renderTierRows(pricing) {
+      if (!pricing.tiers) return '';
+      const activeTier = getActiveTier(pricing);
+      const formatTierCost = (costPer1M) => costPer1M === null
+        ? '—'
+        : `${formatPrice(convertCostToUnit(costPer1M, currentTokenUnit))}`;
+
+      const rows = pricing.tiers.map(tier => `
+          <div class="lmarena-price-tooltip__row${tier === activeTier ? ' lmarena-price-tooltip__row--active' : ''}">
+            <span class="lmarena-price-tooltip__label">Prompt &gt; ${formatTokenCount(tier.above_tokens)}:</span>
+            <span class="lmarena-price-tooltip__value">${formatTierCost(tier.input_cost_per_1m)} / ${formatTierCost(tier.output_cost_per_1m)}</span>
+          </div>`).join('');
+
+      const note = activeTier
+        ? `Columns use the &gt; ${formatTokenCount(activeTier.above_tokens)} rates for ~${formatTokenCount(currentPromptSize)}-token prompts`
+        : 'Columns use the base rates; set a prompt size in the popup to apply a tier';
+
+      return `
+        <div class="lmarena-price-tooltip__breakdown">
+          ${rows}
+          <div class="lmarena-price-tooltip__note">${note}</div>
+        </div>`;
+    }
+
+    _renderHostRows(pricing) {
+      if (!pricing.hosts) return '';
+      const hosts = pricing.hosts;
+      const row = (label, host) => `
+          <div class="lmarena-price-tooltip__row">
+            <span class="lmarena-price-tooltip__label">${label} (${escapeHtml(host.provider_name)}${host.quantization ? `, ${escapeHtml(host.quantization)}` : ''}):</span>
+            <span class="lmarena-price-tooltip__value">${formatPrice(convertCostToUnit(host.input_cost_per_1m, currentTokenUnit))} / ${formatPrice(convertCostToUnit(host.output_cost_per_1m, currentTokenUnit))}</span>
+          </div>`;
+
+      const hostCount = hosts.length === 1 ? '1 host' : `${hosts.length} hosts`;
+      const note = currentHostBasis === 'cheapest'
+        ? `${hostCount} on OpenRouter; columns use the cheapest`
+        : `${hostCount} on OpenRouter; columns use the headline price`;
+
+      return `
+        <div class="lmarena-price-tooltip__breakdown">
+          ${row('Cheapest host', hosts[0])}
+          ${hosts.length > 1 ? row('Priciest host', hosts[hosts.length - 1]) : ''}
+          <div class="lmarena-price-tooltip__note">${note}</div>
+        </div>`;
+    }
+
+    _renderParetoNote(element) {
+      if (!element.closest('tr')?.classList.contains('lmarena-row--pareto')) return '';
+      return '<div class="lmarena-price-tooltip__note">On the score/price frontier: no model in this table is both cheaper and higher-scored</div>';
+    }
+
+    _renderFreeVariantNote(pricing) {
+      if (pricing.freeVariant) {
+        const paid = pricing.paidPricing;
+        const paidLabel = paid
+          ? `paid ${formatPrice(convertCostToUnit(paid.input_cost_per_1m, currentTokenUnit))} / ${formatPrice(convertCostToUnit(paid.output_cost_per_1m, currentTokenUnit))}`
+          : 'no paid variant listed';
+        return `<div class="lmarena-price-tooltip__note">Free variant (rate-limited); ${paidLabel}</div>`;
+      }
+      if (pricing.freeVariantName) {
+        return `<div class="lmarena-price-tooltip__note">Also free as ${escapeHtml(pricing.freeVariantName)} (rate-limited); not used for this price</div>`;
+      }
+      return '';
+    }
+
+    _renderHistoryRows(pricing) {
+      const points = pricing.history;
+      if (!points || points.length < 2) return '';
+      const formatPair = (input, output) =>
+        `${formatPrice(convertCostToUnit(input, currentTokenUnit))} / ${formatPrice(convertCostToUnit(output, currentTokenUnit))}`;
+
+      const previous = pricing.priceChange;
+      const direction = getPriceChangeDirection(pricing);
+      const change = previous ? `
+          <div class="lmarena-price-tooltip__row lmarena-price-tooltip__row--${direction}">
+            <span class="lmarena-price-tooltip__label">${PRICE_CHANGE_MARKS[direction]} Since ${previous.date}:</span>
+            <span class="lmarena-price-tooltip__value">${formatPair(previous.input_cost_per_1m, previous.output_cost_per_1m)} → ${formatPair(previous.current.input_cost_per_1m, previous.current.output_cost_per_1m)}</span>
+          </div>` : '';
+
+      return `
+        <div class="lmarena-price-tooltip__breakdown">
+          ${renderSparkline(points)}
+          ${change}
+          <div class="lmarena-price-tooltip__note">List price (input + output), ${points.length} daily snapshots since ${points[0][0]}</div>
+        </div>`;
+    }
+
+    _renderConsensusOffers(pricing) {
+      const { offers } = pricing.consensus;
+      const minTotal = getConsensusMinTotal(pricing.consensus);
+      const rows = offers.map(offer => `
+        <span class="lmarena-price-tooltip__label">${getProviderName(offer.provider)}</span>
+        <span class="lmarena-price-tooltip__value">${formatPrice(convertCostToUnit(offer.input_cost_per_1m, currentTokenUnit))}</span>
+        <span class="lmarena-price-tooltip__value">${formatPrice(convertCostToUnit(offer.output_cost_per_1m, currentTokenUnit))}</span>
+      `).join('');
+
+      let warning = '';
+      if (isConsensusDisagreement(pricing)) {
+        const spread = getConsensusSpread(pricing.consensus);
+        const spreadLabel = Number.isFinite(spread) ? `${Math.round(spread)}%` : 'free vs. paid';
+        warning = `<div class="lmarena-price-tooltip__warning">⚠ Providers disagree (${spreadLabel}). Possibly a stale entry or a bad match.</div>`;
+      }
+
+      return `
+        <div class="lmarena-price-tooltip__offers">
+          <span class="lmarena-price-tooltip__offers-head">Provider</span>
+          <span class="lmarena-price-tooltip__offers-head">Input</span>
+          <span class="lmarena-price-tooltip__offers-head">Output</span>
+          ${rows}
+        </div>
+        <div class="lmarena-price-tooltip__row">
+          <span class="lmarena-price-tooltip__label">Cheapest total:</span>
+          <span class="lmarena-price-tooltip__value">${formatPrice(convertCostToUnit(minTotal, currentTokenUnit))}</span>
+        </div>
+        ${warning}
+      `;
+    }
+
+    hide() {
+      clearTimeout(this.showTimeout);
+      this.hideTimeout = setTimeout(() => {
+        this.tooltip.classList.remove('lmarena-price-tooltip--visible');
+        this.currentElement = null;
+      }, CONFIG.TOOLTIP_HIDE_DELAY);
+    }
+
+    showModalities(element, modData) {
+      const delay = this._prepareShow(element);
+      const inputMods = modData.input_modalities || ['text'];
+      const outputMods = modData.output_modalities || ['text'];
+
+      const MODALITY_NAMES = { text: 'Text', image: 'Image', audio: 'Audio', video: 'Video', file: 'File' };
+      const formatRow = (mods) => mods.map(k => MODALITY_NAMES[k] || k).join(', ') || 'None';
 
       this._showTooltipContent(element, `
         <div class="lmarena-price-tooltip__header">
@@ -905,6 +1410,7 @@
           </span>
         </div>
         <div class="lmarena-price-tooltip__explanation">${info.description}</div>
+        ${columnType === 'bfb' ? `<div class="lmarena-price-tooltip__note">Profile ${describeBfbProfile(currentBfbProfile)}</div>` : ''}
         <div class="lmarena-price-tooltip__source">Click to sort (where available)</div>
       `, delay);
     }
@@ -921,7 +1427,7 @@
 
   class SortManager {
     constructor() {
-      this.currentColumn = null; // 'pricing', 'bfb', 'ctx', 'mod', or null
+      this.currentColumn = null; // 'pricing', 'bfb', 'cost', 'ctx', 'mod', or null
       this.currentDirection = null; // 'asc', 'desc', or null
       this.headerButtons = new Map(); // columnType -> button element
       this._setupNativeSortListener();
@@ -939,6 +1445,7 @@
         // Check if this is a native header (not our injected ones)
         if (th.classList.contains('lmarena-price-header') ||
           th.classList.contains('lmarena-bfb-header') ||
+          th.classList.contains('lmarena-cost-header') ||
           th.classList.contains('lmarena-age-header') ||
           th.classList.contains('lmarena-ctx-header') ||
           th.classList.contains('lmarena-mod-header')) {
@@ -1108,6 +1615,7 @@
       switch (columnType) {
         case 'pricing': return '_lmarenaPlusPricing';
         case 'bfb': return '_lmarenaPlusBfb';
+        case 'cost': return '_lmarenaPlusCost';
         case 'age': return '_lmarenaPlusAge';
         case 'ctx': return '_lmarenaPlusCtx';
         case 'mod': return '_lmarenaPlusMod';
@@ -1120,18 +1628,22 @@
   // Column Injector
   // ============================================
   class ColumnInjector {
-    constructor(pricingService, contextService, tooltipManager, loadingManager, sortManager) {
-      this.pricingService = pricingService;
-      this.contextService = contextService;
+    constructor(providerClient, tooltipManager, loadingManager, sortManager, watchlistManager, matchPicker) {
+      this.providerClient = providerClient;
       this.tooltipManager = tooltipManager;
       this.loadingManager = loadingManager;
       this.sortManager = sortManager;
+      this.watchlistManager = watchlistManager;
+      this.matchPicker = matchPicker;
       this.processedTables = new WeakSet();
       this.injectedCells = [];
       this.injectedBfbCells = [];
+      this.injectedCostCells = [];
       this.injectedAgeCells = [];
       this.injectedContextWindowCells = [];
       this.injectedModalitiesCells = [];
+      // Called after every re-render so open panels can follow the table
+      this.onCellsUpdated = () => {};
     }
 
     injectIntoTable(table, showLoading = false) {
@@ -1158,6 +1670,7 @@
         // Only inject extra columns when there is enough space
         if (!isPlainLeaderboard()) {
           this._injectBfbHeader(headerRow, showLoading);
+          this._injectCostHeader(headerRow, showLoading);
           this._injectModelAgeHeader(headerRow, showLoading);
           this._injectContextWindowHeader(headerRow, showLoading);
           this._injectModalitiesHeader(headerRow, showLoading);
@@ -1170,13 +1683,15 @@
         this._makeTableScrollable(table);
       }
 
-      return this._processUnprocessedRows(table, modelColumnIndex, arenaScoreColumnIndex, showLoading);
+      const uncertaintyColumns = this._findUncertaintyColumnIndexes(headerRow);
+      return this._processUnprocessedRows(table, modelColumnIndex, arenaScoreColumnIndex, showLoading, uncertaintyColumns);
     }
 
     // Check if a th is one of our injected headers
     _isInjectedHeader(th) {
       return th.classList.contains('lmarena-price-header') ||
         th.classList.contains('lmarena-bfb-header') ||
+        th.classList.contains('lmarena-cost-header') ||
         th.classList.contains('lmarena-age-header') ||
         th.classList.contains('lmarena-ctx-header') ||
         th.classList.contains('lmarena-mod-header') ||
@@ -1196,7 +1711,7 @@
       const nativeButtonClasses = nativeButton ? Array.from(nativeButton.classList) : [];
 
       headerRow.querySelectorAll(
-        '.lmarena-price-header, .lmarena-bfb-header, .lmarena-age-header, .lmarena-ctx-header, .lmarena-mod-header'
+        '.lmarena-price-header, .lmarena-bfb-header, .lmarena-cost-header, .lmarena-age-header, .lmarena-ctx-header, .lmarena-mod-header'
       ).forEach(th => {
         for (const cls of nativeClasses) {
           if (!cls.includes('rounded') && !cls.startsWith('border') &&
@@ -1235,7 +1750,7 @@
     }
 
 
-    _processUnprocessedRows(table, modelColumnIndex, arenaScoreColumnIndex, showLoading) {
+    _processUnprocessedRows(table, modelColumnIndex, arenaScoreColumnIndex, showLoading, uncertaintyColumns) {
       const rows = table.querySelectorAll('tbody tr, tr');
       let newRowCount = 0;
 
@@ -1248,7 +1763,8 @@
 
         this._injectCell(row, modelColumnIndex, showLoading);
         if (!isPlainLeaderboard()) {
-          this._injectBfbCell(row, modelColumnIndex, arenaScoreColumnIndex, showLoading);
+          this._injectBfbCell(row, modelColumnIndex, arenaScoreColumnIndex, showLoading, uncertaintyColumns);
+          this._injectCostCell(row, modelColumnIndex, showLoading);
           this._injectModelAgeCell(row, modelColumnIndex, showLoading);
           this._injectContextWindowCell(row, modelColumnIndex, showLoading);
           this._injectModalitiesCell(row, modelColumnIndex, showLoading);
@@ -1264,7 +1780,7 @@
         // Preserve the current sort icon state
         const iconContainer = this.pricingHeaderButton.querySelector('.lmarena-sort-icon-container');
         const currentIcon = iconContainer ? iconContainer.innerHTML : SORT_ICONS.default;
-        this.pricingHeaderButton.innerHTML = `Pricing <span class="lmarena-sort-icon-container">${currentIcon}</span>`;
+        this.pricingHeaderButton.innerHTML = `${getPricingHeaderLabel()} <span class="lmarena-sort-icon-container">${currentIcon}</span>`;
       }
     }
 
@@ -1280,16 +1796,27 @@
 
       // Update Elo per Dollar cells
       for (const cellData of this.injectedBfbCells) {
-        const { cell, modelName, arenaScore, rank } = cellData;
+        const { cell, modelName, arenaScore, rank, uncertainty } = cellData;
 
         if (!cell.isConnected) continue;
 
         cell.classList.remove('lmarena-bfb-cell--loading');
-        this._updateBfbCellContent(cell, modelName, arenaScore, rank);
+        this._updateBfbCellContent(cell, modelName, arenaScore, rank, uncertainty);
       }
 
       // Add medal emojis to top 3 BfB cells per table
       this._addBfbMedals();
+      this._markParetoFrontier();
+
+      // Update Est. Monthly Cost cells
+      for (const cellData of this.injectedCostCells) {
+        const { cell, modelName } = cellData;
+
+        if (!cell.isConnected) continue;
+
+        cell.classList.remove('lmarena-cost-cell--loading');
+        this._updateCostCellContent(cell, modelName);
+      }
 
       // Update Model Age cells
       for (const cellData of this.injectedAgeCells) {
@@ -1320,11 +1847,151 @@
         cell.classList.remove('lmarena-mod-cell--loading');
         this._updateModalitiesCellContent(cell, modelName);
       }
+
+      this.onCellsUpdated();
     }
 
+    // Ask the background worker for any model names not resolved yet,
+    // then fill in the cells that were left in their loading state
+    async resolvePendingCells() {
+      const modelNames = [
+        ...this.injectedCells,
+        ...this.injectedBfbCells,
+        ...this.injectedCostCells,
+        ...this.injectedAgeCells,
+        ...this.injectedContextWindowCells,
+        ...this.injectedModalitiesCells
+      ].filter(c => c.cell.isConnected).map(c => c.modelName);
+
+      if (await this.providerClient.lookup(modelNames)) {
+        this.updateAllCells();
+      }
+      await this.watchlistManager.check([...this._getWatchObservations().values()]);
+    }
+
+    /**
+     * One point per priced and scored row of the page's main leaderboard table
+     * (the one with the most plottable rows), for the score-vs-price chart.
+     * The price is blended with the active Bang for Buck profile's input share,
+     * in USD per 1M tokens, or the per-image/per-second price on media leaderboards.
+     * @returns {{points: Array<{row: Element, modelName: string, score: number, price: number,
+     *   contextLength: number|null, lab: string|null}>, skipped: number}}
+     */
+    getChartPoints() {
+      const tableRows = new Map();
+      for (const { cell, modelName } of this.injectedCells) {
+        const table = cell.isConnected && cell.closest('table');
+        if (!table) continue;
+        if (!tableRows.has(table)) tableRows.set(table, []);
+        tableRows.get(table).push({ row: cell.closest('tr'), modelName });
+      }
+
+      let best = { points: [], skipped: 0 };
+      for (const [table, rows] of tableRows) {
+        const points = this._getTableChartPoints(table, rows);
+        if (points.length > best.points.length) best = { points, skipped: rows.length - points.length };
+      }
+      return best;
+    }
+
+    _getTableChartPoints(table, rows) {
+      const headerRow = this._findHeaderRow(table);
+      const scoreIndex = headerRow ? this._findArenaScoreColumnIndex(headerRow) : -1;
+      const { inputWeight } = currentBfbProfile;
+      const points = [];
+
+      for (const { row, modelName } of rows) {
+        const pricing = this.providerClient.getPricing(modelName);
+        const score = scoreIndex === -1 ? NaN : parseFloat(row.querySelectorAll('td')[scoreIndex]?.textContent.trim());
+        if (!pricing || !Number.isFinite(score)) continue;
+
+        let price;
+        if (getLeaderboardMedia()) {
+          price = getMediaPrice(pricing)?.price;
+          if (price === undefined) continue;
+        } else if (pricing.media) {
+          // Image and video models (e.g. in the overview's media tables) are billed
+          // per image or second; their token rates don't belong on this axis
+          continue;
+        } else {
+          const effective = getEffectivePricing(pricing);
+          price = effective.input_cost_per_1m * inputWeight + effective.output_cost_per_1m * (1 - inputWeight);
+        }
+
+        const context = this.providerClient.getContext(modelName);
+        // OpenRouter ids (and most other providers') start with the vendor
+        const sourceId = context?.sourceModelName || pricing.sourceModelName || '';
+        points.push({
+          row,
+          modelName,
+          score,
+          price,
+          contextLength: context?.context_length || null,
+          lab: sourceId.includes('/') ? sourceId.split('/')[0] : null
+        });
+      }
+
+      return points;
+    }
+
+    // Every Arena model name currently shown in the table, once each
+    getModelNames() {
+      return [...new Set(this.injectedCells.filter(c => c.cell.isConnected).map(c => c.modelName))];
+    }
+
+    // What the page shows for each model: its price and, where the Bang for
+    // Buck column read them, its rank and score
+    _getWatchObservations() {
+      const observations = new Map();
+      for (const { cell, modelName } of this.injectedCells) {
+        if (!cell.isConnected || observations.has(modelName)) continue;
+        observations.set(modelName, { modelName, pricing: this.providerClient.getPricing(modelName), standing: null });
+      }
+      for (const { cell, modelName, arenaScore, rank } of this.injectedBfbCells) {
+        const observation = observations.get(modelName);
+        if (!cell.isConnected || !observation || observation.standing) continue;
+        observation.standing = { rank, score: Number.isFinite(arenaScore) ? arenaScore : null };
+      }
+      return observations;
+    }
+
+    async toggleWatch(modelName) {
+      const observation = this._getWatchObservations().get(modelName) ||
+        { modelName, pricing: this.providerClient.getPricing(modelName), standing: null };
+      await this.watchlistManager.toggle(observation);
+      this.updateAllCells();
+    }
+
+    // Consensus combines several providers, so its picker starts on OpenRouter
+    _openPricingPicker(cell, modelName) {
+      const pricing = this.providerClient.getPricing(modelName);
+      const provider = pricing?.fallbackProvider ||
+        (currentProvider === 'consensus' ? 'openrouter' : currentProvider);
+      const providers = ['openrouter', 'litellm', 'helicone'];
+      if (currentProvider === 'custom' || currentFallbackChain.includes('custom')) providers.push('custom');
+
+      this.tooltipManager.hide();
+      this.matchPicker.open(cell, modelName, providers, provider, pricing?.consensus ? null : pricing?.sourceModelName);
+    }
+
+    _appendWatchStar(cell, modelName) {
+      const watched = this.watchlistManager.isWatched(modelName);
+      const star = document.createElement('button');
+      star.className = `lmarena-watch-star${watched ? ' lmarena-watch-star--on' : ''}`;
+      star.textContent = watched ? '★' : '☆';
+      star.title = watched ? 'Stop watching this model' : 'Watch this model for price and rank changes';
+      cell.prepend(star);
+    }
+
+    /**
+     * Medals for the top three Bang for Buck values per table. Where the
+     * leaderboard publishes confidence intervals, a model whose BfB range
+     * overlaps the one ranked just above it can't be told apart from it, so
+     * it shares that model's medal and both are marked as tied.
+     */
     _addBfbMedals() {
       const MEDALS = ['🥇', '🥈', '🥉'];
-      const MEDAL_REGEX = /^(?:🥇|🥈|🥉)\s*/u;
+      const MEDAL_REGEX = /^(?:🥇|🥈|🥉)(?:<span class="lmarena-bfb-tie">=<\/span>)?\s*/u;
 
       // Group BfB cells by their parent table
       const tableGroups = new Map();
@@ -1344,13 +2011,16 @@
         if (valueSpan) {
           valueSpan.innerHTML = valueSpan.innerHTML.replace(MEDAL_REGEX, '');
         }
+        cell._bfbMedal = null;
 
         // Only consider cells with valid BfB values
         if (bfbValue !== null && bfbValue !== undefined && !isNaN(bfbValue)) {
           if (!tableGroups.has(table)) {
             tableGroups.set(table, []);
           }
-          tableGroups.get(table).push({ cell, value: bfbValue });
+          // Without a CI the point estimate is all we have
+          const range = row._lmarenaPlusBfbRange || { low: bfbValue, high: bfbValue };
+          tableGroups.get(table).push({ cell, value: bfbValue, range });
         }
       }
 
@@ -1359,26 +2029,104 @@
         // Sort by BfB value descending
         cells.sort((a, b) => b.value - a.value);
 
-        // Add medals to top 3
-        for (let i = 0; i < Math.min(3, cells.length); i++) {
-          const { cell } = cells[i];
-          const valueSpan = cell.querySelector('.lmarena-bfb-value');
-          if (valueSpan) {
-            // Prepend medal emoji
-            valueSpan.innerHTML = `${MEDALS[i]} ${valueSpan.innerHTML}`;
+        // Each medal goes to a run of models whose ranges overlap their neighbour above
+        let next = 0;
+        for (let medal = 0; medal < MEDALS.length && next < cells.length; medal++) {
+          let end = next + 1;
+          while (end < cells.length && cells[end].range.high >= cells[end - 1].range.low) end++;
+
+          const tied = end - next > 1;
+          for (const { cell } of cells.slice(next, end)) {
+            cell._bfbMedal = { medal: MEDALS[medal], tiedWith: end - next - 1 };
+            const valueSpan = cell.querySelector('.lmarena-bfb-value');
+            if (valueSpan) {
+              // Prepend medal emoji
+              valueSpan.innerHTML = `${MEDALS[medal]}${tied ? '<span class="lmarena-bfb-tie">=</span>' : ''} ${valueSpan.innerHTML}`;
+            }
           }
+          next = end;
+        }
+      }
+    }
+
+    /**
+     * Marks the rows no other row beats on both Arena Score and price, per table,
+     * and hides the rest when the popup asks for frontier models only. Rows
+     * without a sortable price or score are never on the frontier.
+     */
+    _markParetoFrontier() {
+      // Group priced rows by their parent table
+      const tableGroups = new Map();
+
+      for (const { cell } of this.injectedCells) {
+        if (!cell.isConnected) continue;
+
+        const table = cell.closest('table');
+        const row = cell.closest('tr');
+        if (!table || !row) continue;
+
+        if (!tableGroups.has(table)) {
+          tableGroups.set(table, []);
+        }
+        tableGroups.get(table).push(row);
+      }
+
+      for (const [table, rows] of tableGroups) {
+        const headerRow = this._findHeaderRow(table);
+        const scoreIndex = headerRow ? this._findArenaScoreColumnIndex(headerRow) : -1;
+        const frontier = scoreIndex === -1 ? new Set() : this._findParetoFrontier(rows, scoreIndex);
+
+        for (const row of rows) {
+          const onFrontier = frontier.has(row);
+          row.classList.toggle('lmarena-row--pareto', currentParetoMode !== 'off' && onFrontier);
+          row.classList.toggle('lmarena-row--off-frontier', currentParetoMode === 'only' && !onFrontier && scoreIndex !== -1);
         }
       }
     }
 
+    // A row is dominated when another is no more expensive and scores at least as
+    // high, and is strictly better on one of the two
+    _findParetoFrontier(rows, scoreIndex) {
+      const points = [];
+      for (const row of rows) {
+        // Null for models without a per-token price (image/video-only records
+        // included), so they can't sit on the frontier as "free"
+        const price = row._lmarenaPlusPricing;
+        // parseFloat stops at the first non-numeric char, so "1289 ±9" parses as 1289
+        const score = parseFloat(row.querySelectorAll('td')[scoreIndex]?.textContent.trim());
+        if (Number.isFinite(price) && Number.isFinite(score)) {
+          points.push({ row, price, score });
+        }
+      }
+
+      // Cheapest first; within a price, highest score first
+      points.sort((a, b) => a.price - b.price || b.score - a.score);
+
+      const frontier = new Set();
+      let bestCheaperScore = -Infinity;
+      for (let i = 0; i < points.length;) {
+        // Rows at the same price only compete with the top score at that price
+        const { price, score: topScore } = points[i];
+        for (; i < points.length && points[i].price === price; i++) {
+          if (points[i].score === topScore && topScore > bestCheaperScore) {
+            frontier.add(points[i].row);
+          }
+        }
+        bestCheaperScore = Math.max(bestCheaperScore, topScore);
+      }
+      return frontier;
+    }
+
     setAllCellsLoading() {
       const cells = this.injectedCells.filter(c => c.cell.isConnected).map(c => c.cell);
       const bfbCells = this.injectedBfbCells.filter(c => c.cell.isConnected).map(c => c.cell);
+      const costCells = this.injectedCostCells.filter(c => c.cell.isConnected).map(c => c.cell);
       const ageCells = this.injectedAgeCells.filter(c => c.cell.isConnected).map(c => c.cell);
       const ctxCells = this.injectedContextWindowCells.filter(c => c.cell.isConnected).map(c => c.cell);
       const modCells = this.injectedModalitiesCells.filter(c => c.cell.isConnected).map(c => c.cell);
       this.loadingManager.setLoading(cells, true, 'price');
       this.loadingManager.setLoading(bfbCells, true, 'bfb');
+      this.loadingManager.setLoading(costCells, true, 'cost');
       this.loadingManager.setLoading(ageCells, true, 'age');
       this.loadingManager.setLoading(ctxCells, true, 'ctx');
       this.loadingManager.setLoading(modCells, true, 'mod');
@@ -1395,11 +2143,15 @@
       document.querySelectorAll('table[data-lmarena-scrollable]').forEach(el => {
         delete el.dataset.lmarenaScrollable;
       });
-      document.querySelectorAll('.lmarena-price-header, .lmarena-price-cell, .lmarena-bfb-header, .lmarena-bfb-cell, .lmarena-age-header, .lmarena-age-cell, .lmarena-ctx-header, .lmarena-ctx-cell, .lmarena-mod-header, .lmarena-mod-cell').forEach(el => {
+      document.querySelectorAll('.lmarena-price-header, .lmarena-price-cell, .lmarena-bfb-header, .lmarena-bfb-cell, .lmarena-cost-header, .lmarena-cost-cell, .lmarena-age-header, .lmarena-age-cell, .lmarena-ctx-header, .lmarena-ctx-cell, .lmarena-mod-header, .lmarena-mod-cell').forEach(el => {
         el.remove();
       });
+      document.querySelectorAll('.lmarena-row--pareto, .lmarena-row--off-frontier').forEach(el => {
+        el.classList.remove('lmarena-row--pareto', 'lmarena-row--off-frontier');
+      });
       this.injectedCells = [];
       this.injectedBfbCells = [];
+      this.injectedCostCells = [];
       this.injectedAgeCells = [];
       this.injectedContextWindowCells = [];
       this.injectedModalitiesCells = [];
@@ -1450,6 +2202,25 @@
       return -1;
     }
 
+    // Where the leaderboard publishes how certain each score is: a separate
+    // 95% CI column and the Rank Spread column (-1 when absent)
+    _findUncertaintyColumnIndexes(headerRow) {
+      const cells = headerRow.querySelectorAll('th, td');
+      const indexes = { ci: -1, rankSpread: -1 };
+
+      for (let i = 0; i < cells.length; i++) {
+        const text = cells[i].textContent.toLowerCase().trim();
+        // Same test as the column visibility code, so plain rank columns don't match
+        if (text.includes('rank') && text.includes('spread')) {
+          indexes.rankSpread = i;
+        } else if (text.includes('95%') || /\bci\b/.test(text)) {
+          indexes.ci = i;
+        }
+      }
+
+      return indexes;
+    }
+
     _injectHeader(headerRow, showLoading) {
       if (headerRow.querySelector('.lmarena-price-header')) return;
 
@@ -1460,7 +2231,7 @@
       const button = document.createElement('button');
       button.className = 'lmarena-sort-button';
       const unitLabel = getTokenUnitLabel(currentTokenUnit);
-      button.innerHTML = `Pricing <span class="lmarena-sort-icon-container">${SORT_ICONS.default}</span>`;
+      button.innerHTML = `${getPricingHeaderLabel()} <span class="lmarena-sort-icon-container">${SORT_ICONS.default}</span>`;
       button.addEventListener('click', () => this.sortManager.toggleSort('pricing'));
 
       // Store reference to the button for dynamic updates
@@ -1520,18 +2291,27 @@
         const pricingData = e.currentTarget._pricingData;
         if (pricingData) {
           this.tooltipManager.show(e.currentTarget, pricingData);
+          if (currentHostBasis !== 'cheapest') this._showHosts(td, modelName);
         }
       };
       td.onmouseleave = () => {
         this.tooltipManager.hide();
       };
+      td.addEventListener('click', (e) => {
+        e.stopPropagation();
+        if (e.target.closest('.lmarena-watch-star')) {
+          this.toggleWatch(modelName);
+        } else {
+          this._openPricingPicker(td, modelName);
+        }
+      });
 
       this.injectedCells.push({ cell: td, modelName });
 
       // IMPORTANT: Append to row BEFORE updating content, so cell.closest('tr') works
       row.appendChild(td);
 
-      if (showLoading) {
+      if (showLoading || !this.providerClient.has(modelName)) {
         td.textContent = 'Loading';
         td.classList.add('lmarena-price-cell--loading');
       } else {
@@ -1539,7 +2319,7 @@
       }
     }
 
-    _injectBfbCell(row, modelColumnIndex, arenaScoreColumnIndex, showLoading) {
+    _injectBfbCell(row, modelColumnIndex, arenaScoreColumnIndex, showLoading, uncertaintyColumns = { ci: -1, rankSpread: -1 }) {
       if (row.querySelector('.lmarena-bfb-cell')) return;
 
       const cells = row.querySelectorAll('td');
@@ -1569,20 +2349,40 @@
         }
       }
 
+      // The score's 95% CI, in the score cell itself or a column of its own
+      const uncertainty = { scoreInterval: null, rankRange: null };
+      if (Number.isFinite(arenaScore)) {
+        const ciText = [cells[arenaScoreColumnIndex], cells[uncertaintyColumns.ci]]
+          .filter(Boolean).map(cell => cell.textContent).join(' ');
+        uncertainty.scoreInterval = parseScoreInterval(ciText, arenaScore);
+      }
+      if (cells[uncertaintyColumns.rankSpread]) {
+        uncertainty.rankRange = parseRankSpread(cells[uncertaintyColumns.rankSpread].textContent);
+      }
+
       const td = document.createElement('td');
       td.className = 'lmarena-bfb-cell';
       td.setAttribute(CONFIG.COLUMN_MARKER, 'true');
+      td.onmouseenter = (e) => {
+        const bfbData = e.currentTarget._bfbData;
+        if (bfbData) {
+          this.tooltipManager.showBangForBuck(e.currentTarget, bfbData);
+        }
+      };
+      td.onmouseleave = () => {
+        this.tooltipManager.hide();
+      };
 
-      this.injectedBfbCells.push({ cell: td, modelName, arenaScore, rank });
+      this.injectedBfbCells.push({ cell: td, modelName, arenaScore, rank, uncertainty });
 
       // IMPORTANT: Append to row BEFORE updating content, so cell.closest('tr') works
       row.appendChild(td);
 
-      if (showLoading) {
+      if (showLoading || !this.providerClient.has(modelName)) {
         td.textContent = 'Loading';
         td.classList.add('lmarena-bfb-cell--loading');
       } else {
-        this._updateBfbCellContent(td, modelName, arenaScore, rank);
+        this._updateBfbCellContent(td, modelName, arenaScore, rank, uncertainty);
       }
     }
 
@@ -1628,7 +2428,7 @@
       // IMPORTANT: Append to row BEFORE updating content, so cell.closest('tr') works
       row.appendChild(td);
 
-      if (showLoading) {
+      if (showLoading || !this.providerClient.has(modelName)) {
         td.textContent = 'Loading';
         td.classList.add('lmarena-age-cell--loading');
       } else {
@@ -1637,7 +2437,7 @@
     }
 
     _updateModelAgeCellContent(cell, modelName) {
-      const contextData = this.contextService.getContext(modelName);
+      const contextData = this.providerClient.getContext(modelName);
       const row = cell.closest('tr');
 
       if (contextData && contextData.created) {
@@ -1657,6 +2457,87 @@
       }
     }
 
+    _injectCostHeader(headerRow, showLoading) {
+      if (headerRow.querySelector('.lmarena-cost-header')) return;
+
+      const th = document.createElement('th');
+      th.className = 'lmarena-cost-header';
+
+      // Create sortable button
+      const button = document.createElement('button');
+      button.className = 'lmarena-sort-button';
+      button.innerHTML = `Est. Monthly Cost <span class="lmarena-sort-icon-container">${SORT_ICONS.default}</span>`;
+      button.addEventListener('click', () => this.sortManager.toggleSort('cost'));
+
+      // Add tooltip hover
+      th.addEventListener('mouseenter', () => this.tooltipManager.showHeaderInfo(th, 'cost'));
+      th.addEventListener('mouseleave', () => this.tooltipManager.hide());
+
+      th.appendChild(button);
+      th.setAttribute(CONFIG.COLUMN_MARKER, 'true');
+      headerRow.appendChild(th);
+
+      // Register with sort manager
+      this.sortManager.registerHeader('cost', button);
+    }
+
+    _injectCostCell(row, modelColumnIndex, showLoading) {
+      if (row.querySelector('.lmarena-cost-cell')) return;
+
+      const cells = row.querySelectorAll('td');
+      if (cells.length === 0) return;
+
+      const modelCell = cells[modelColumnIndex] || cells[0];
+      const modelName = this._extractModelName(modelCell);
+
+      const td = document.createElement('td');
+      td.className = 'lmarena-cost-cell';
+      td.setAttribute(CONFIG.COLUMN_MARKER, 'true');
+      td.onmouseenter = (e) => {
+        const costData = e.currentTarget._costData;
+        if (costData) {
+          this.tooltipManager.showCost(e.currentTarget, costData.pricing, costData.estimate);
+        }
+      };
+      td.onmouseleave = () => {
+        this.tooltipManager.hide();
+      };
+
+      this.injectedCostCells.push({ cell: td, modelName });
+
+      // IMPORTANT: Append to row BEFORE updating content, so cell.closest('tr') works
+      row.appendChild(td);
+
+      if (showLoading || !this.providerClient.has(modelName)) {
+        td.textContent = 'Loading';
+        td.classList.add('lmarena-cost-cell--loading');
+      } else {
+        this._updateCostCellContent(td, modelName);
+      }
+    }
+
+    _updateCostCellContent(cell, modelName) {
+      const pricing = this.providerClient.getPricing(modelName);
+      const row = cell.closest('tr');
+      // The workload is counted in tokens, which image and video models aren't billed by
+      const estimate = pricing && !getLeaderboardMedia() && hasTokenPrice(pricing)
+        ? estimateWorkloadCost(pricing)
+        : null;
+
+      if (estimate) {
+        cell.innerHTML = `<span class="lmarena-cost-value">${formatPrice(estimate.perMonth)}</span>`;
+        cell.classList.remove('lmarena-cost-cell--na');
+        cell._costData = { pricing, estimate };
+        // Store sortable value on row
+        if (row) row._lmarenaPlusCost = estimate.perMonth;
+      } else {
+        cell.textContent = getLeaderboardMedia() ? '—' : 'N/A';
+        cell.classList.add('lmarena-cost-cell--na');
+        cell._costData = null;
+        if (row) row._lmarenaPlusCost = null;
+      }
+    }
+
     _injectContextWindowHeader(headerRow, showLoading) {
       if (headerRow.querySelector('.lmarena-ctx-header')) return;
 
@@ -1693,13 +2574,28 @@
       const td = document.createElement('td');
       td.className = 'lmarena-ctx-cell';
       td.setAttribute(CONFIG.COLUMN_MARKER, 'true');
+      td.onmouseenter = (e) => {
+        const contextData = this.providerClient.getContext(modelName);
+        if (contextData) {
+          this.tooltipManager.showContext(e.currentTarget, contextData);
+        }
+      };
+      td.onmouseleave = () => {
+        this.tooltipManager.hide();
+      };
+      // Context always comes from OpenRouter, so only its models can be pinned here
+      td.addEventListener('click', (e) => {
+        this.tooltipManager.hide();
+        e.stopPropagation();
+        this.matchPicker.open(td, modelName, ['openrouter'], 'openrouter', this.providerClient.getContext(modelName)?.sourceModelName);
+      });
 
       this.injectedContextWindowCells.push({ cell: td, modelName });
 
       // IMPORTANT: Append to row BEFORE updating content, so cell.closest('tr') works
       row.appendChild(td);
 
-      if (showLoading) {
+      if (showLoading || !this.providerClient.has(modelName)) {
         td.textContent = 'Loading';
         td.classList.add('lmarena-ctx-cell--loading');
       } else {
@@ -1708,8 +2604,8 @@
     }
 
     _updateContextWindowCellContent(cell, modelName) {
-      // Context window always uses OpenRouter data via contextService
-      const contextData = this.contextService.getContext(modelName);
+      // Context window always uses OpenRouter data
+      const contextData = this.providerClient.getContext(modelName);
       const row = cell.closest('tr');
 
       if (contextData && contextData.context_length) {
@@ -1723,18 +2619,12 @@
         cell.classList.add('lmarena-ctx-cell--na');
         if (row) row._lmarenaPlusCtx = null;
       }
+      cell.classList.toggle('lmarena-ctx-cell--uncertain', contextData?.match?.confidence === 'low');
     }
 
     _formatContextWindow(tokens) {
       if (!tokens || tokens <= 0) return 'N/A';
-      if (tokens >= 1000000) {
-        const value = parseFloat((tokens / 1000000).toFixed(1));
-        return `${value}M`;
-      } else if (tokens >= 1000) {
-        const value = parseFloat((tokens / 1000).toFixed(1));
-        return `${value}K`;
-      }
-      return tokens.toString();
+      return formatTokenCount(tokens);
     }
 
     _injectModalitiesHeader(headerRow, showLoading) {
@@ -1783,7 +2673,7 @@
       // IMPORTANT: Append to row BEFORE updating content, so cell.closest('tr') works
       row.appendChild(td);
 
-      if (showLoading) {
+      if (showLoading || !this.providerClient.has(modelName)) {
         td.textContent = 'Loading';
         td.classList.add('lmarena-mod-cell--loading');
       } else {
@@ -1793,8 +2683,8 @@
 
 
     _updateModalitiesCellContent(cell, modelName) {
-      // Modalities always uses OpenRouter data via contextService
-      const contextData = this.contextService.getContext(modelName);
+      // Modalities always uses OpenRouter data
+      const contextData = this.providerClient.getContext(modelName);
 
       if (contextData && contextData.hasExplicitModalities) {
         const inputMods = contextData.input_modalities || ['text'];
@@ -1847,44 +2737,106 @@
       return html;
     }
 
+    // Redraw the hovered cell's tooltip once its OpenRouter hosts arrive
+    async _showHosts(cell, modelName) {
+      const pricing = await this.providerClient.loadHosts(modelName);
+      if (!pricing?.hosts || !cell.isConnected) return;
+      cell._pricingData = pricing;
+      if (this.tooltipManager.currentElement === cell && cell.matches(':hover')) {
+        this.tooltipManager.show(cell, pricing);
+      }
+    }
+
     _updateCellContent(cell, modelName) {
-      const pricing = this.pricingService.getPricing(modelName);
+      const pricing = this.providerClient.getPricing(modelName);
       const unitLabel = getTokenUnitLabel(currentTokenUnit);
       const row = cell.closest('tr');
 
-      if (pricing) {
-        const inputCost = convertCostToUnit(pricing.input_cost_per_1m || 0, currentTokenUnit);
-        const outputCost = convertCostToUnit(pricing.output_cost_per_1m || 0, currentTokenUnit);
+      if (pricing && getLeaderboardMedia()) {
+        this._updateMediaCellContent(cell, pricing, row);
+      } else if (pricing && hasTokenPrice(pricing)) {
+        const effective = getEffectivePricing(pricing);
+        const inputCost = convertCostToUnit(effective.input_cost_per_1m, currentTokenUnit);
+        const outputCost = convertCostToUnit(effective.output_cost_per_1m, currentTokenUnit);
         const totalCost = inputCost + outputCost;
 
         // Store sortable value on row (use raw per-1M cost for consistent sorting)
-        const rawTotal = (pricing.input_cost_per_1m || 0) + (pricing.output_cost_per_1m || 0);
+        const rawTotal = effective.input_cost_per_1m + effective.output_cost_per_1m;
         if (row) row._lmarenaPlusPricing = rawTotal;
 
+        // Consensus mode: headline is the median, with the cheapest provider's total underneath
+        const consensus = pricing.consensus;
+        const disagrees = isConsensusDisagreement(pricing);
+        const breakdown = consensus
+          ? `min ${formatPrice(convertCostToUnit(getConsensusMinTotal(consensus), currentTokenUnit))}`
+          : `${formatPrice(inputCost)} / ${formatPrice(outputCost)}`;
+        const changeDirection = getPriceChangeDirection(pricing);
+        const changeBadge = changeDirection
+          ? `<span class="lmarena-price-change lmarena-price-change--${changeDirection}">${PRICE_CHANGE_MARKS[changeDirection]}</span>`
+          : '';
+
         cell.innerHTML = `
-          <div class="lmarena-price-total">$${formatCost(totalCost)}</div>
-          <div class="lmarena-price-breakdown">$${formatCost(inputCost)} / $${formatCost(outputCost)}</div>
+          <div class="lmarena-price-total">${changeBadge}${disagrees ? '<span class="lmarena-price-flag">⚠</span>' : ''}${pricing.fallbackProvider ? '<span class="lmarena-price-fallback">↪</span>' : ''}${formatPrice(totalCost)}</div>
+          <div class="lmarena-price-breakdown">${breakdown}</div>
         `;
         cell.classList.remove('lmarena-price-cell--na');
+        cell.classList.toggle('lmarena-price-cell--disagree', disagrees);
+        cell.classList.toggle('lmarena-price-cell--fallback', !!pricing.fallbackProvider);
 
         // Store pricing reference on the element for reliable access
         cell._pricingData = pricing;
       } else {
         cell.textContent = 'N/A';
         cell.classList.add('lmarena-price-cell--na');
+        cell.classList.remove('lmarena-price-cell--disagree', 'lmarena-price-cell--fallback');
         cell._pricingData = null;
         if (row) row._lmarenaPlusPricing = null;
       }
+
+      // Numbers to double-check before quoting them
+      cell.classList.toggle('lmarena-price-cell--uncertain', pricing?.match?.confidence === 'low');
+      this._appendWatchStar(cell, modelName);
+    }
+
+    // Image/video leaderboards: one price per image, megapixel or second of video
+    _updateMediaCellContent(cell, pricing, row) {
+      const mediaPrice = getMediaPrice(pricing);
+      const fallbackMarker = pricing.fallbackProvider ? '<span class="lmarena-price-fallback">↪</span>' : '';
+
+      if (mediaPrice) {
+        if (row) row._lmarenaPlusPricing = mediaPrice.price;
+        cell.innerHTML = `
+          <div class="lmarena-price-total">${fallbackMarker}${formatSmallPrice(mediaPrice.price)}</div>
+          <div class="lmarena-price-breakdown">per ${MEDIA_UNITS[mediaPrice.unit].label}</div>
+        `;
+      } else {
+        // Only per-token rates are published; they can't be sorted against per-image prices
+        const effective = getEffectivePricing(pricing);
+        const totalCost = convertCostToUnit(effective.input_cost_per_1m + effective.output_cost_per_1m, currentTokenUnit);
+        if (row) row._lmarenaPlusPricing = null;
+        cell.innerHTML = `
+          <div class="lmarena-price-total lmarena-price-total--tokens">${fallbackMarker}${formatPrice(totalCost)}</div>
+          <div class="lmarena-price-breakdown">per ${getTokenUnitLabel(currentTokenUnit)} tokens</div>
+        `;
+      }
+      cell.classList.remove('lmarena-price-cell--na', 'lmarena-price-cell--disagree');
+      cell.classList.toggle('lmarena-price-cell--fallback', !!pricing.fallbackProvider);
+      cell._pricingData = pricing;
     }
 
-    _updateBfbCellContent(cell, modelName, arenaScore, rank = 1) {
-      const pricing = this.pricingService.getPricing(modelName);
+    _updateBfbCellContent(cell, modelName, arenaScore, rank = 1, uncertainty = {}) {
+      const pricing = this.providerClient.getPricing(modelName);
       const row = cell.closest('tr');
+      if (row) row._lmarenaPlusBfbRange = null;
 
-      if (pricing && arenaScore && arenaScore > 1000) {
-        const inputCost = pricing.input_cost_per_1m || 0;
-        const outputCost = pricing.output_cost_per_1m || 0;
-        const valueScore = calculateBangForBuck(arenaScore, inputCost, outputCost, rank);
+      const { baseline } = currentBfbProfile;
+
+      if (pricing && arenaScore && arenaScore > baseline) {
+        // Any score divided by a $0 price would outrank every paid model, so
+        // free models are labelled as such and kept out of sorting and medals
+        const free = this._isFreeForBfb(pricing);
+        const valueScore = free ? null : this._calculatePricingBfb(pricing, arenaScore, rank);
+        const range = valueScore !== null ? this._calculateBfbRange(pricing, arenaScore, rank, uncertainty) : null;
 
         if (valueScore !== null) {
           // Format: show score as integer for cleaner display
@@ -1892,7 +2844,14 @@
           cell.innerHTML = `<span class="lmarena-bfb-value">${formattedValue}</span>`;
           cell.classList.remove('lmarena-bfb-cell--na');
           // Store sortable value on row
-          if (row) row._lmarenaPlusBfb = valueScore;
+          if (row) {
+            row._lmarenaPlusBfb = valueScore;
+            row._lmarenaPlusBfbRange = range;
+          }
+        } else if (free) {
+          cell.innerHTML = '<span class="lmarena-bfb-free">free</span>';
+          cell.classList.remove('lmarena-bfb-cell--na');
+          if (row) row._lmarenaPlusBfb = null;
         } else {
           cell.textContent = 'N/A';
           cell.classList.add('lmarena-bfb-cell--na');
@@ -1900,8 +2859,8 @@
         }
 
         // Store data for tooltip
-        cell._bfbData = { arenaScore, pricing, valueScore, rank };
-      } else if (!arenaScore || arenaScore <= 1000) {
+        cell._bfbData = { arenaScore, pricing, valueScore, rank, range, free, ...uncertainty };
+      } else if (!arenaScore || arenaScore <= baseline) {
         cell.textContent = '—';
         cell.classList.add('lmarena-bfb-cell--na');
         cell._bfbData = null;
@@ -1914,6 +2873,39 @@
       }
     }
 
+    /**
+     * The Bang for Buck values at the ends of the score's 95% CI, worst rank
+     * with the low score and best rank with the high one.
+     * @returns {{low: number, high: number}|null} null when the page gives no CI or rank spread
+     */
+    _calculateBfbRange(pricing, arenaScore, rank, { scoreInterval, rankRange } = {}) {
+      if (!scoreInterval && !rankRange) return null;
+      const low = this._calculatePricingBfb(pricing, scoreInterval?.low ?? arenaScore, rankRange?.worst ?? rank);
+      const high = this._calculatePricingBfb(pricing, scoreInterval?.high ?? arenaScore, rankRange?.best ?? rank);
+      // A low end at or below the baseline scores nothing
+      return { low: low ?? 0, high: high ?? 0 };
+    }
+
+    _isFreeForBfb(pricing) {
+      if (getLeaderboardMedia()) return getMediaPrice(pricing)?.price === 0;
+      if (!hasTokenPrice(pricing)) return false;
+      const effective = getEffectivePricing(pricing);
+      return effective.input_cost_per_1m + effective.output_cost_per_1m === 0;
+    }
+
+    _calculatePricingBfb(pricing, arenaScore, rank) {
+      if (getLeaderboardMedia()) {
+        // Per-token rates aren't comparable on image/video leaderboards
+        const mediaPrice = getMediaPrice(pricing);
+        if (!mediaPrice) return null;
+        const scaledPrice = mediaPrice.price * MEDIA_UNITS[mediaPrice.unit].bfbScale;
+        return calculateBangForBuck(arenaScore, scaledPrice, scaledPrice, rank);
+      }
+      if (!hasTokenPrice(pricing)) return null;
+      const effective = getEffectivePricing(pricing);
+      return calculateBangForBuck(arenaScore, effective.input_cost_per_1m, effective.output_cost_per_1m, rank);
+    }
+
     _extractModelName(cell) {
       // In Labs view, the cell shows: Lab Name (main span) + model-name · License (subtitle span)
       // The subtitle uses class "text-text-secondary" in Arena.ai's DOM
@@ -2007,6 +2999,8 @@
         applyColumnVisibility();
         if (totalNewRows > 0) {
           this.columnInjector._addBfbMedals();
+          this.columnInjector._markParetoFrontier();
+          this.columnInjector.resolvePendingCells();
         }
       }
     }
@@ -2029,33 +3023,666 @@
     }
   }
 
+  // ============================================
+  // Match Picker (Pin a provider model to an Arena model)
+  // ============================================
+  // Opened from a Pricing or Context cell when the automatic match is wrong
+  // or missing. Pins are saved to sync storage; the background worker
+  // applies them ahead of ModelMatcher and tells every tab to re-resolve.
+  class MatchPicker {
+    constructor() {
+      this.panel = null;
+      this.modelName = null;
+      this.searchTimer = null;
+      this.searchGeneration = 0;
+      this.openGeneration = 0; // Bumped by every open and close
+      this._onDocumentMouseDown = (e) => {
+        if (this.panel && !this.panel.contains(e.target)) this.close();
+      };
+      this._onKeyDown = (e) => {
+        if (e.key === 'Escape') this.close();
+      };
+    }
+
+    /**
+     * @param {HTMLElement} anchor - The clicked cell
+     * @param {string} modelName - Arena model name to pin a match for
+     * @param {string[]} providers - Providers the user may pick from
+     * @param {string} provider - Initially selected provider
+     * @param {string|null} currentMatch - Provider model id matched automatically, if any
+     */
+    async open(anchor, modelName, providers, provider, currentMatch) {
+      this.close();
+      const generation = this.openGeneration;
+      this.modelName = modelName;
+      const matches = await this._readMatches();
+      // Another click or a close came in while the pinned matches were read
+      if (generation !== this.openGeneration) return;
+      this.matches = matches;
+
+      const panel = document.createElement('div');
+      panel.className = 'lmarena-match-picker';
+      panel.innerHTML = `
+        <div class="lmarena-price-tooltip__header">
+          <span class="lmarena-price-tooltip__header-title">Match for ${escapeHtml(modelName)}</span>
+        </div>
+        <div class="lmarena-match-picker__controls">
+          <select class="lmarena-match-picker__provider"${providers.length === 1 ? ' hidden' : ''}>
+            ${providers.map(p => `<option value="${p}"${p === provider ? ' selected' : ''}>${getProviderName(p)}</option>`).join('')}
+          </select>
+          <input class="lmarena-match-picker__search" type="search" placeholder="Search ${getProviderName(provider)} models">
+        </div>
+        <div class="lmarena-match-picker__results"></div>
+        <div class="lmarena-match-picker__footer">
+          <span class="lmarena-match-picker__current"></span>
+          <button class="lmarena-match-picker__reset">Use automatic match</button>
+        </div>`;
+
+      const providerSelect = panel.querySelector('.lmarena-match-picker__provider');
+      const search = panel.querySelector('.lmarena-match-picker__search');
+      const showCurrent = () => {
+        const selected = providerSelect.value;
+        const pinnedId = this.matches[modelName]?.[selected];
+        const automatic = selected === provider ? currentMatch : null;
+        panel.querySelector('.lmarena-match-picker__current').textContent = pinnedId
+          ? `Pinned: ${pinnedId}`
+          : `Automatic: ${automatic || 'no match'}`;
+        panel.querySelector('.lmarena-match-picker__reset').disabled = !pinnedId;
+      };
+
+      providerSelect.addEventListener('change', () => {
+        search.placeholder = `Search ${getProviderName(providerSelect.value)} models`;
+        showCurrent();
+        this._search(providerSelect.value, search.value);
+      });
+      search.addEventListener('input', () => {
+        clearTimeout(this.searchTimer);
+        this.searchTimer = setTimeout(() => this._search(providerSelect.value, search.value), 150);
+      });
+      panel.querySelector('.lmarena-match-picker__results').addEventListener('click', (e) => {
+        const result = e.target.closest('.lmarena-match-picker__result');
+        if (result) this._pin(providerSelect.value, result.dataset.id);
+      });
+      panel.querySelector('.lmarena-match-picker__reset').addEventListener('click', () => {
+        this._pin(providerSelect.value, null);
+      });
+
+      this.panel = panel;
+      document.body.appendChild(panel);
+      this._position(anchor);
+      showCurrent();
+
+      // Dates rarely appear in provider ids, so leave them out of the first search
+      search.value = modelName.replace(/[-_.]?20\d{6}/g, '');
+      search.focus();
+      this._search(providerSelect.value, search.value);
+
+      document.addEventListener('mousedown', this._onDocumentMouseDown, true);
+      document.addEventListener('keydown', this._onKeyDown);
+    }
+
+    close() {
+      this.openGeneration++;
+      if (!this.panel) return;
+      clearTimeout(this.searchTimer);
+      this.panel.remove();
+      this.panel = null;
+      document.removeEventListener('mousedown', this._onDocumentMouseDown, true);
+      document.removeEventListener('keydown', this._onKeyDown);
+    }
+
+    async _search(provider, query) {
+      const generation = ++this.searchGeneration;
+      let models = [];
+      try {
+        const response = await chrome.runtime.sendMessage({ type: 'SEARCH_PROVIDER_MODELS', provider, query });
+        models = response?.models || [];
+      } catch (error) {
+        console.warn('[LMArena Plus] Failed to search provider models:', error);
+      }
+      // A newer search, or a closed picker, makes this one irrelevant
+      if (generation !== this.searchGeneration || !this.panel) return;
+
+      const results = this.panel.querySelector('.lmarena-match-picker__results');
+      results.innerHTML = models.length === 0
+        ? '<div class="lmarena-price-tooltip__note">No matching models</div>'
+        : models.map(model => `
+          <button class="lmarena-match-picker__result" data-id="${escapeHtml(model.id)}">
+            <span class="lmarena-match-picker__id">${escapeHtml(model.id)}</span>
+            <span class="lmarena-match-picker__price">${formatPrice(convertCostToUnit(model.input_cost_per_1m || 0, currentTokenUnit))} / ${formatPrice(convertCostToUnit(model.output_cost_per_1m || 0, currentTokenUnit))}</span>
+          </button>`).join('');
+    }
+
+    // modelId null removes the pin and goes back to automatic matching
+    async _pin(provider, modelId) {
+      const matches = await this._readMatches();
+      const pins = { ...matches[this.modelName] };
+      if (modelId) {
+        pins[provider] = modelId;
+      } else {
+        delete pins[provider];
+      }
+
+      if (Object.keys(pins).length > 0) {
+        matches[this.modelName] = pins;
+      } else {
+        delete matches[this.modelName];
+      }
+
+      try {
+        await chrome.storage.sync.set({ [CONFIG.MODEL_MATCHES_KEY]: matches });
+      } catch (error) {
+        console.warn('[LMArena Plus] Failed to save model match:', error);
+      }
+      this.close();
+    }
+
+    async _readMatches() {
+      try {
+        const result = await chrome.storage.sync.get(CONFIG.MODEL_MATCHES_KEY);
+        return result[CONFIG.MODEL_MATCHES_KEY] || {};
+      } catch (error) {
+        console.warn('[LMArena Plus] Failed to read model matches:', error);
+        return {};
+      }
+    }
+
+    _position(anchor) {
+      const rect = anchor.getBoundingClientRect();
+      const panelRect = this.panel.getBoundingClientRect();
+      const left = Math.min(Math.max(8, rect.right - panelRect.width), window.innerWidth - panelRect.width - 8);
+      const below = rect.bottom + 4;
+      const top = below + panelRect.height > window.innerHeight - 8
+        ? Math.max(8, rect.top - panelRect.height - 4)
+        : below;
+      this.panel.style.left = `${left}px`;
+      this.panel.style.top = `${top}px`;
+    }
+  }
+
+  // ============================================
+  // Match Report (Diagnostics for mismatched models, opened from the popup)
+  // ============================================
+  // Lists every model name read from the table, the forms ModelMatcher
+  // tried, what pricing and context resolved to and the nearest provider
+  // ids for misses. The JSON export is meant for bug reports.
+  class MatchReport {
+    constructor() {
+      this.panel = null;
+      this.report = null;
+      this._onKeyDown = (e) => {
+        if (e.key === 'Escape') this.close();
+      };
+    }
+
+    async open(modelNames) {
+      this.close();
+      let response;
+      try {
+        response = await chrome.runtime.sendMessage({
+          type: 'DIAGNOSE_MODELS',
+          provider: currentProvider,
+          fallback: currentFallbackChain,
+          modelNames
+        });
+        if (!response || response.error) throw new Error(response?.error || 'No response');
+      } catch (error) {
+        console.error('[LMArena Plus] Failed to build match report:', error);
+        return;
+      }
+
+      this.report = {
+        generatedAt: new Date().toISOString(),
+        page: window.location.href,
+        provider: currentProvider,
+        fallback: currentFallbackChain,
+        models: response.models
+      };
+
+      const problems = this.report.models.filter(model => this._isProblem(model)).length;
+      const panel = document.createElement('div');
+      panel.className = 'lmarena-match-report lmarena-match-report--problems-only';
+      panel.innerHTML = `
+        <div class="lmarena-price-tooltip__header">
+          <span class="lmarena-price-tooltip__header-title">Match report</span>
+          <span class="lmarena-price-tooltip__header-source">${getProviderName(currentProvider)}</span>
+        </div>
+        <div class="lmarena-match-report__controls">
+          <span>${this.report.models.length} models · ${problems} missing or low confidence</span>
+          <label><input type="checkbox" class="lmarena-match-report__filter" checked> Only problems</label>
+          <button class="lmarena-match-report__export">Export JSON</button>
+          <button class="lmarena-match-report__close" title="Close">✕</button>
+        </div>
+        <div class="lmarena-match-report__body">
+          <table>
+            <thead><tr><th>Arena model</th><th>Pricing</th><th>Context</th><th>Near misses</th></tr></thead>
+            <tbody>${this.report.models.map(model => this._renderRow(model)).join('')}</tbody>
+          </table>
+        </div>`;
+
+      panel.querySelector('.lmarena-match-report__filter').addEventListener('change', (e) => {
+        panel.classList.toggle('lmarena-match-report--problems-only', e.target.checked);
+      });
+      panel.querySelector('.lmarena-match-report__export').addEventListener('click', () => this._export());
+      panel.querySelector('.lmarena-match-report__close').addEventListener('click', () => this.close());
+
+      this.panel = panel;
+      document.body.appendChild(panel);
+      document.addEventListener('keydown', this._onKeyDown);
+    }
+
+    close() {
+      if (!this.panel) return;
+      this.panel.remove();
+      this.panel = null;
+      document.removeEventListener('keydown', this._onKeyDown);
+    }
+
+    // A miss or a low-confidence match on either column
+    _isProblem(model) {
+      return [model.pricing, model.context].some(result => !result || result.match?.confidence === 'low');
+    }
+
+    _renderRow(model) {
+      const tried = [
+        ...model.aliases.map(alias => `alias ${escapeHtml(alias)}`),
+        ...model.searchTerms.map(term => escapeHtml(term.searchTerm))
+      ].join(' → ');
+      const renderResult = (result, source) => {
+        if (!result) return '<span class="lmarena-match-report__miss">No match</span>';
+        const confidence = result.match ? ` · ${result.match.confidence} confidence` : '';
+        const how = result.match ? describeMatch(result.match) : '';
+        return `${escapeHtml(result.sourceModelName)}
+          <div class="lmarena-match-report__detail">${source ? `${source} · ` : ''}${how}${confidence}</div>`;
+      };
+      const nearMisses = [
+        ...model.nearMisses.pricing
+          .filter(entry => entry.ids.length > 0)
+          .map(entry => `${getProviderName(entry.provider)}: ${entry.ids.map(escapeHtml).join(', ')}`),
+        ...(model.nearMisses.context.length > 0
+          ? [`Context: ${model.nearMisses.context.map(escapeHtml).join(', ')}`]
+          : [])
+      ];
+
+      return `
+        <tr class="${this._isProblem(model) ? 'lmarena-match-report__row--problem' : ''}">
+          <td>${escapeHtml(model.modelName)}<div class="lmarena-match-report__detail">${tried}</div></td>
+          <td>${renderResult(model.pricing, model.pricing && getProviderName(model.pricing.provider))}</td>
+          <td>${renderResult(model.context, null)}</td>
+          <td class="lmarena-match-report__detail">${nearMisses.join('<br>')}</td>
+        </tr>`;
+    }
+
+    _export() {
+      const json = JSON.stringify(this.report, null, 2);
+      const url = URL.createObjectURL(new Blob([json], { type: 'application/json' }));
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = `arena-plus-match-report-${this.report.generatedAt.slice(0, 10)}.json`;
+      link.click();
+      setTimeout(() => URL.revokeObjectURL(url), 1000);
+    }
+  }
+
+  // ============================================
+  // Score vs. Price Chart (toggled from the popup)
+  // ============================================
+  // Plots the leaderboard as Arena Score against blended price on a log
+  // axis, one dot per row: colored by lab, sized by context window. Drawn as
+  // plain SVG styled with the tooltip palette.
+  const CHART_SIZE = { width: 640, height: 380, top: 16, right: 16, bottom: 40, left: 52 };
+  const CHART_LAB_COLORS = ['#E0A458', '#7FB3D5', '#A3C585', '#D98880', '#BB8FCE', '#76D7C4', '#F7DC6F', '#E59866'];
+
+  class ScatterChart {
+    constructor(columnInjector) {
+      this.columnInjector = columnInjector;
+      this.panel = null;
+      this.hoveredRow = null;
+      this._onKeyDown = (e) => {
+        if (e.key === 'Escape') this.close();
+      };
+    }
+
+    toggle() {
+      if (this.panel) {
+        this.close();
+      } else {
+        this.open();
+      }
+    }
+
+    open() {
+      const panel = document.createElement('div');
+      panel.className = 'lmarena-scatter';
+      panel.innerHTML = `
+        <div class="lmarena-price-tooltip__header">
+          <span class="lmarena-price-tooltip__header-title">Score vs. price</span>
+          <span class="lmarena-scatter__summary"></span>
+          <button class="lmarena-match-report__close" title="Close">✕</button>
+        </div>
+        <div class="lmarena-scatter__plot"></div>
+        <div class="lmarena-scatter__legend"></div>
+        <div class="lmarena-scatter__info">Hover a dot to find its row; click to scroll to it</div>`;
+      panel.querySelector('.lmarena-match-report__close').addEventListener('click', () => this.close());
+
+      this.panel = panel;
+      document.body.appendChild(panel);
+      document.addEventListener('keydown', this._onKeyDown);
+      this.refresh();
+    }
+
+    close() {
+      if (!this.panel) return;
+      this._highlightRow(null);
+      this.panel.remove();
+      this.panel = null;
+      document.removeEventListener('keydown', this._onKeyDown);
+    }
+
+    // Redraws from the table's current prices; a no-op while closed
+    refresh() {
+      if (!this.panel) return;
+      this._highlightRow(null);
+      const { points, skipped } = this.columnInjector.getChartPoints();
+      const labColors = this._assignLabColors(points);
+
+      this.panel.querySelector('.lmarena-scatter__summary').textContent =
+        `${points.length} models${skipped ? ` · ${skipped} without score or price` : ''}`;
+      this.panel.querySelector('.lmarena-scatter__legend').innerHTML = [...labColors]
+        .map(([lab, color]) => `<span><i style="background:${color}"></i>${escapeHtml(lab)}</span>`)
+        .join('');
+
+      const plot = this.panel.querySelector('.lmarena-scatter__plot');
+      if (points.length === 0) {
+        plot.innerHTML = '<p class="lmarena-scatter__empty">No models with both an Arena Score and a price on this page yet.</p>';
+        return;
+      }
+      plot.innerHTML = this._renderSvg(points, labColors);
+
+      plot.querySelectorAll('.lmarena-scatter__dot').forEach(dot => {
+        const point = points[dot.dataset.index];
+        dot.addEventListener('mouseenter', () => {
+          this._highlightRow(point.row);
+          this._showInfo(point);
+        });
+        dot.addEventListener('mouseleave', () => this._highlightRow(null));
+        dot.addEventListener('click', () => point.row.scrollIntoView({ behavior: 'smooth', block: 'center' }));
+      });
+    }
+
+    // The most common labs get a color of their own, the rest share "Other"
+    _assignLabColors(points) {
+      const counts = new Map();
+      for (const { lab } of points) {
+        if (lab) counts.set(lab, (counts.get(lab) || 0) + 1);
+      }
+      const colors = new Map(
+        [...counts].sort((a, b) => b[1] - a[1]).slice(0, CHART_LAB_COLORS.length)
+          .map(([lab], i) => [lab, CHART_LAB_COLORS[i]])
+      );
+      if (points.some(({ lab }) => !colors.has(lab))) colors.set('Other', 'var(--lmp-text-dim)');
+      return colors;
+    }
+
+    _renderSvg(points, labColors) {
+      const { width, height, top, right, bottom, left } = CHART_SIZE;
+      // Gridlines fall on round prices in the selected currency
+      const rate = getExchangeRate(currentCurrency);
+      const positive = points.map(p => p.price * rate).filter(price => price > 0);
+      const minPrice = positive.length ? Math.min(...positive) : FREE_PRICE_FLOOR;
+      const maxPrice = positive.length ? Math.max(...positive) : FREE_PRICE_FLOOR;
+      const minDecade = Math.floor(Math.log10(minPrice));
+      const maxDecade = Math.max(Math.ceil(Math.log10(maxPrice)), minDecade + 1);
+      const scores = points.map(p => p.score);
+      const scoreStep = [5, 10, 20, 25, 50, 100, 200].find(step => (Math.max(...scores) - Math.min(...scores)) / step <= 6) || 500;
+      const minScore = Math.floor(Math.min(...scores) / scoreStep) * scoreStep;
+      const maxScore = Math.max(Math.ceil(Math.max(...scores) / scoreStep) * scoreStep, minScore + scoreStep);
+
+      // Free models sit on the left edge, drawn hollow
+      const x = price => left + (Math.log10(Math.max(price * rate, 10 ** minDecade)) - minDecade) / (maxDecade - minDecade) * (width - left - right);
+      const y = score => top + (maxScore - score) / (maxScore - minScore) * (height - top - bottom);
+      const radius = contextLength => contextLength
+        ? Math.min(10, Math.max(3, 3 + 1.5 * Math.log2(contextLength / 8192)))
+        : 3;
+
+      const grid = [];
+      for (let decade = minDecade; decade <= maxDecade; decade++) {
+        const px = x(10 ** decade / rate);
+        grid.push(`<line class="lmarena-scatter__grid" x1="${px}" x2="${px}" y1="${top}" y2="${height - bottom}"/>`);
+        grid.push(`<text class="lmarena-scatter__tick" x="${px}" y="${height - bottom + 14}" text-anchor="middle">${formatSmallPrice(10 ** decade / rate)}</text>`);
+      }
+      for (let score = minScore; score <= maxScore; score += scoreStep) {
+        grid.push(`<line class="lmarena-scatter__grid" x1="${left}" x2="${width - right}" y1="${y(score)}" y2="${y(score)}"/>`);
+        grid.push(`<text class="lmarena-scatter__tick" x="${left - 6}" y="${y(score) + 4}" text-anchor="end">${score}</text>`);
+      }
+
+      const media = getLeaderboardMedia() && getMediaPrice(this.columnInjector.providerClient.getPricing(points[0].modelName));
+      const priceLabel = media ? `Price per ${MEDIA_UNITS[media.unit].label}` : `Blended price per 1M tokens (${Math.round(currentBfbProfile.inputWeight * 100)}% input)`;
+
+      // Largest dots first so small ones stay hoverable on top of them
+      const dots = points
+        .map((point, index) => ({ point, index, r: radius(point.contextLength) }))
+        .sort((a, b) => b.r - a.r)
+        .map(({ point, index, r }) => {
+          const color = labColors.get(point.lab) || labColors.get('Other');
+          // Colors go in style, since presentation attributes can't use the palette's CSS variables
+          const style = point.price > 0 ? `fill:${color};stroke:${color}` : `fill:none;stroke:${color};stroke-width:1.5`;
+          return `<circle class="lmarena-scatter__dot" data-index="${index}" cx="${x(point.price)}" cy="${y(point.score)}" r="${r}" style="${style}"/>`;
+        });
+
+      return `
+        <svg class="lmarena-scatter__svg" viewBox="0 0 ${width} ${height}" role="img" aria-label="Arena Score against price">
+          ${grid.join('')}
+          <text class="lmarena-scatter__axis" x="${(left + width - right) / 2}" y="${height - 6}" text-anchor="middle">${priceLabel}, log scale</text>
+          <text class="lmarena-scatter__axis" transform="translate(12 ${(top + height - bottom) / 2}) rotate(-90)" text-anchor="middle">Arena Score</text>
+          ${dots.join('')}
+        </svg>`;
+    }
+
+    _showInfo(point) {
+      const details = [
+        point.lab,
+        `score ${point.score}`,
+        point.price > 0 ? formatSmallPrice(point.price) : 'free',
+        point.contextLength ? `${formatTokenCount(point.contextLength)} context` : null
+      ].filter(Boolean);
+      this.panel.querySelector('.lmarena-scatter__info').innerHTML =
+        `<strong>${escapeHtml(point.modelName)}</strong> · ${details.map(escapeHtml).join(' · ')}`;
+    }
+
+    _highlightRow(row) {
+      this.hoveredRow?.classList.remove('lmarena-row--chart-hover');
+      this.hoveredRow = row;
+      row?.classList.add('lmarena-row--chart-hover');
+    }
+  }
+
+  // ============================================
+  // Watchlist (Starred models, checked on every visit)
+  // ============================================
+  // Each watched model keeps the last price and per-leaderboard rank/score
+  // seen on arena.ai; a visit that shows different values raises one
+  // notification listing every change. Only the starred names are synced:
+  // the snapshots grow with every leaderboard and filter visited, which
+  // would soon outgrow a sync storage item, so they stay in local storage.
+  class WatchlistManager {
+    isWatched(modelName) {
+      return Object.prototype.hasOwnProperty.call(currentWatchlist, modelName);
+    }
+
+    /**
+     * Star or unstar a model. A newly starred model records what the page
+     * shows now as its baseline.
+     * @param {{modelName: string, pricing: Object|null, standing: Object|null}} observation
+     */
+    async toggle(observation) {
+      const { watchlist, snapshots } = await this._read();
+      if (watchlist[observation.modelName]) {
+        delete watchlist[observation.modelName];
+        delete snapshots[observation.modelName];
+      } else {
+        watchlist[observation.modelName] = { addedAt: Date.now() };
+        snapshots[observation.modelName] = { price: null, boards: {} };
+        this._observe(snapshots[observation.modelName], observation);
+        this._requestPermission();
+      }
+      await this._write(watchlist);
+      await this._writeSnapshots(snapshots);
+    }
+
+    /**
+     * Compare the watched models on this page against their stored values,
+     * store the new values and notify about anything that changed.
+     * @param {Array<{modelName: string, pricing: Object|null, standing: Object|null}>} observations
+     */
+    async check(observations) {
+      const watched = observations.filter(observation => this.isWatched(observation.modelName));
+      if (watched.length === 0) return;
+
+      const { watchlist, snapshots } = await this._read();
+      const before = JSON.stringify(snapshots);
+      const changes = [];
+      for (const observation of watched) {
+        if (!watchlist[observation.modelName]) continue;
+        snapshots[observation.modelName] ??= { price: null, boards: {} };
+        changes.push(...this._observe(snapshots[observation.modelName], observation));
+      }
+      // Entries saved by earlier versions still hold their snapshots in sync storage;
+      // move them out. Otherwise only write when something moved
+      const legacy = Object.values(currentWatchlist).some(entry => entry.boards);
+      if (legacy || JSON.stringify(snapshots) !== before) await this._writeSnapshots(snapshots);
+      if (legacy) await this._write(watchlist);
+      if (changes.length > 0) this._notify(changes);
+    }
+
+    // Update the entry in place and describe what changed since it was last seen
+    _observe(entry, { modelName, pricing, standing }) {
+      const changes = [];
+
+      if (pricing) {
+        // Compare list prices so editing custom prices doesn't read as a provider change
+        const price = {
+          provider: pricing.fallbackProvider || currentProvider,
+          input: pricing.custom?.listInput ?? pricing.input_cost_per_1m,
+          output: pricing.custom?.listOutput ?? pricing.output_cost_per_1m
+        };
+        const previous = entry.price;
+        // A different provider quotes different prices; just rebase
+        if (previous && previous.provider === price.provider &&
+          (previous.input !== price.input || previous.output !== price.output)) {
+          changes.push(`${modelName}: ${this._formatPrice(previous)} → ${this._formatPrice(price)}`);
+        }
+        entry.price = price;
+      }
+
+      const board = getLeaderboardKey();
+      if (standing && board) {
+        const previous = entry.boards[board];
+        if (previous && previous.rank !== standing.rank) {
+          changes.push(`${modelName}: rank #${previous.rank} → #${standing.rank} on ${board}`);
+        }
+        if (previous && standing.score !== null && previous.score !== standing.score) {
+          changes.push(`${modelName}: score ${previous.score} → ${standing.score} on ${board}`);
+        }
+        entry.boards[board] = standing;
+      }
+
+      return changes;
+    }
+
+    _formatPrice(price) {
+      return `${formatPrice(convertCostToUnit(price.input, currentTokenUnit))} / ${formatPrice(convertCostToUnit(price.output, currentTokenUnit))}`;
+    }
+
+    // Re-read before writing so another arena.ai tab's update isn't lost
+    async _read() {
+      let snapshots = {};
+      try {
+        const [synced, local] = await Promise.all([
+          chrome.storage.sync.get(CONFIG.WATCHLIST_KEY),
+          chrome.storage.local.get(CONFIG.WATCHLIST_SNAPSHOTS_KEY)
+        ]);
+        currentWatchlist = synced[CONFIG.WATCHLIST_KEY] || {};
+        snapshots = local[CONFIG.WATCHLIST_SNAPSHOTS_KEY] || {};
+      } catch (error) {
+        console.warn('[LMArena Plus] Failed to read watchlist:', error);
+      }
+
+      // Earlier versions kept the snapshots in the synced entries
+      const watchlist = {};
+      for (const [modelName, { addedAt, price, boards }] of Object.entries(currentWatchlist)) {
+        watchlist[modelName] = { addedAt };
+        if (!snapshots[modelName] && (price || boards)) {
+          snapshots[modelName] = { price: price || null, boards: boards || {} };
+        }
+      }
+      return { watchlist, snapshots };
+    }
+
+    async _write(watchlist) {
+      currentWatchlist = watchlist;
+      try {
+        await chrome.storage.sync.set({ [CONFIG.WATCHLIST_KEY]: watchlist });
+      } catch (error) {
+        console.warn('[LMArena Plus] Failed to save watchlist:', error);
+      }
+    }
+
+    async _writeSnapshots(snapshots) {
+      // Drop models that were unstarred elsewhere, e.g. in the popup
+      for (const modelName of Object.keys(snapshots)) {
+        if (!this.isWatched(modelName)) delete snapshots[modelName];
+      }
+      try {
+        await chrome.storage.local.set({ [CONFIG.WATCHLIST_SNAPSHOTS_KEY]: snapshots });
+      } catch (error) {
+        console.warn('[LMArena Plus] Failed to save watchlist snapshots:', error);
+      }
+    }
+
+    // Starring is a user gesture, the one moment the permission prompt may be shown
+    _requestPermission() {
+      if ('Notification' in window && Notification.permission === 'default') {
+        Notification.requestPermission();
+      }
+    }
+
+    _notify(changes) {
+      if (!('Notification' in window) || Notification.permission !== 'granted') return;
+
+      const notification = new Notification('Arena.ai Plus watchlist', {
+        body: changes.join('\n'),
+        icon: chrome.runtime.getURL('icons/icon128.png'),
+        tag: 'lmarena-watchlist'
+      });
+      notification.onclick = () => {
+        window.focus();
+        notification.close();
+      };
+    }
+  }
+
   // ============================================
   // Main Initialization
   // ============================================
-  let pricingService, contextService, tooltipManager, loadingManager, sortManager, columnInjector, tableObserver, notificationManager;
+  let providerClient, tooltipManager, loadingManager, sortManager, columnInjector, tableObserver, notificationManager, watchlistManager, matchPicker, matchReport, scatterChart;
 
   async function init() {
     await loadPreferences();
 
-    pricingService = new PricingService();
-    contextService = new ContextService();
+    providerClient = new ProviderClient();
     tooltipManager = new TooltipManager();
     loadingManager = new LoadingManager();
     sortManager = new SortManager();
-    columnInjector = new ColumnInjector(pricingService, contextService, tooltipManager, loadingManager, sortManager);
+    watchlistManager = new WatchlistManager();
+    matchPicker = new MatchPicker();
+    matchReport = new MatchReport();
+    columnInjector = new ColumnInjector(providerClient, tooltipManager, loadingManager, sortManager, watchlistManager, matchPicker);
     tableObserver = new TableObserver(columnInjector);
+    scatterChart = new ScatterChart(columnInjector);
+    columnInjector.onCellsUpdated = () => scatterChart.refresh();
 
-    // Show loading state immediately
-    tableObserver.reprocessAll(true);
-
-    // Fetch pricing and context data in parallel
-    await Promise.all([
-      pricingService.initialize(currentProvider),
-      contextService.initialize()
-    ]);
-
-    columnInjector.updateAllCells();
-    applyColumnVisibility();
+    // Cells render in their loading state until the background worker resolves their models
     tableObserver.start();
 
     // Watch for URL changes (Models/Labs toggle is SPA navigation)
@@ -2063,6 +3690,7 @@
     new MutationObserver(() => {
       if (window.location.href !== lastUrl) {
         lastUrl = window.location.href;
+        scatterChart.close();
         columnInjector.clearAllInjections();
         sortManager.reset();
         tableObserver.reprocessAll(false);
@@ -2083,10 +3711,64 @@
         columnInjector.updateAllCells();
       } else if (message.type === 'PROVIDER_CHANGED') {
         currentProvider = message.value;
+        providerClient.clear();
         columnInjector.setAllCellsLoading();
-        await pricingService.switchProvider(currentProvider);
-        columnInjector.updateAllCells();
+        await columnInjector.resolvePendingCells();
         applyColumnVisibility();
+      } else if (message.type === 'FALLBACK_CHAIN_CHANGED') {
+        currentFallbackChain = message.value;
+        providerClient.clear();
+        columnInjector.setAllCellsLoading();
+        await columnInjector.resolvePendingCells();
+        applyColumnVisibility();
+      } else if (message.type === 'PROVIDER_DATA_UPDATED' || message.type === 'PRICE_OVERRIDES_CHANGED' ||
+        message.type === 'MODEL_MATCHES_CHANGED' || message.type === 'MODEL_ALIASES_CHANGED') {
+        // A background refresh replaced stale cached data, or the background
+        // now applies different overrides, pinned matches or aliases; re-resolve and re-render in place
+        if (message.name !== undefined) customProviderName = message.name || CONFIG.PROVIDERS.custom.name;
+        providerClient.clear();
+        await columnInjector.resolvePendingCells();
+      } else if (message.type === 'CONSENSUS_THRESHOLD_CHANGED') {
+        currentConsensusThreshold = message.value;
+        columnInjector.updateAllCells();
+      } else if (message.type === 'CACHE_HIT_RATIO_CHANGED') {
+        currentCacheHitRatio = message.value;
+        columnInjector.updateAllCells();
+      } else if (message.type === 'PRICING_MODE_CHANGED') {
+        currentPricingMode = message.value;
+        columnInjector.updatePricingHeader();
+        columnInjector.updateAllCells();
+      } else if (message.type === 'CURRENCY_CHANGED') {
+        currentCurrency = message.value;
+        columnInjector.updateAllCells();
+      } else if (message.type === 'EXCHANGE_RATES_CHANGED') {
+        currentExchangeRates = message.value?.rates || {};
+        columnInjector.updateAllCells();
+      } else if (message.type === 'HOST_BASIS_CHANGED') {
+        currentHostBasis = message.value;
+        columnInjector.updateAllCells();
+      } else if (message.type === 'WATCHLIST_CHANGED') {
+        currentWatchlist = message.value || {};
+        columnInjector.updateAllCells();
+      } else if (message.type === 'SHOW_MATCH_REPORT') {
+        await matchReport.open(columnInjector.getModelNames());
+      } else if (message.type === 'TOGGLE_SCATTER_CHART') {
+        scatterChart.toggle();
+      } else if (message.type === 'PARETO_MODE_CHANGED') {
+        currentParetoMode = message.value;
+        columnInjector._markParetoFrontier();
+      } else if (message.type === 'WORKLOAD_CHANGED') {
+        currentWorkload = { ...DEFAULT_WORKLOAD, ...message.value };
+        columnInjector.updateAllCells();
+      } else if (message.type === 'BFB_PROFILES_CHANGED') {
+        currentBfbProfile = getActiveBfbProfile(message.value);
+        columnInjector.updateAllCells();
+      } else if (message.type === 'MODE_DISCOUNT_CHANGED') {
+        currentModeDiscount = message.value;
+        columnInjector.updateAllCells();
+      } else if (message.type === 'PROMPT_SIZE_CHANGED') {
+        currentPromptSize = message.value;
+        columnInjector.updateAllCells();
       } else if (message.type === 'COLUMN_VISIBILITY_CHANGED') {
         currentColumnVisibility = message.value;
         applyColumnVisibility();
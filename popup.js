@@ -16,6 +16,39 @@
     const TOKEN_UNIT_KEY = 'lmarena-token-unit';
     const PROVIDER_KEY = 'lmarena-data-provider';
     const COLUMN_VISIBILITY_KEY = 'lmarena-column-visibility';
+    const CACHE_TTL_KEY = 'lmarena-cache-ttl';
+    const DEFAULT_CACHE_TTL = 6 * 60 * 60 * 1000;
+    const HISTORY_RETENTION_KEY = 'lmarena-history-retention';
+    const WATCHLIST_KEY = 'lmarena-watchlist';
+    const WATCHLIST_SNAPSHOTS_KEY = 'lmarena-watchlist-snapshots';
+    const FREE_VARIANTS_KEY = 'lmarena-free-variants';
+    const DEFAULT_FREE_VARIANTS = 'exclude';
+    const DEFAULT_HISTORY_RETENTION = 90;
+    const CONSENSUS_THRESHOLD_KEY = 'lmarena-consensus-threshold';
+    const DEFAULT_CONSENSUS_THRESHOLD = 25;
+    const FALLBACK_CHAIN_KEY = 'lmarena-provider-fallback';
+    const DEFAULT_FALLBACK_CHAIN = ['openrouter', 'litellm', 'helicone'];
+    const CACHE_HIT_RATIO_KEY = 'lmarena-cache-hit-ratio';
+    const DEFAULT_CACHE_HIT_RATIO = 0;
+    const PROMPT_SIZE_KEY = 'lmarena-prompt-size';
+    const DEFAULT_PROMPT_SIZE = 0;
+    const PRICING_MODE_KEY = 'lmarena-pricing-mode';
+    const DEFAULT_PRICING_MODE = 'on-demand';
+    const MODE_DISCOUNT_KEY = 'lmarena-mode-discount';
+    const DEFAULT_MODE_DISCOUNT = 50;
+    const PRICE_OVERRIDES_KEY = 'lmarena-price-overrides';
+    const MODEL_ALIASES_KEY = 'lmarena-model-aliases';
+    const BFB_PROFILES_KEY = 'lmarena-bfb-profiles';
+    const WORKLOAD_KEY = 'lmarena-workload';
+    const PARETO_MODE_KEY = 'lmarena-pareto-mode';
+    const DEFAULT_PARETO_MODE = 'highlight';
+    const CUSTOM_PROVIDER_KEY = 'lmarena-custom-provider';
+    const HOST_BASIS_KEY = 'lmarena-openrouter-host';
+    const DEFAULT_HOST_BASIS = 'headline';
+    const CURRENCY_KEY = 'lmarena-currency';
+    const DEFAULT_CURRENCY = 'USD';
+    const EXCHANGE_RATES_KEY = 'lmarena-exchange-rates';
+    const EXCHANGE_RATES_URL = 'https://api.frankfurter.app/latest?from=USD';
 
     const DEFAULT_COLUMN_VISIBILITY = {
         'rank': true,
@@ -23,6 +56,7 @@
         'votes': true,
         'pricing': true,
         'bang-for-buck': true,
+        'monthly-cost': true,
         'model-age': true,
         'context-window': true,
         'modalities': true
@@ -34,9 +68,76 @@
         litellm: 'https://github.com/BerriAI/litellm'
     };
 
+    const PROVIDER_NAMES = {
+        openrouter: 'OpenRouter',
+        helicone: 'Helicone',
+        litellm: 'LiteLLM',
+        consensus: 'Consensus'
+    };
+
     // DOM refs
     const tokenUnitSelect = document.getElementById('token-unit');
     const dataProviderSelect = document.getElementById('data-provider');
+    const cacheTtlSelect = document.getElementById('cache-ttl');
+    const cacheStatus = document.getElementById('cache-status');
+    const historyRetentionSelect = document.getElementById('history-retention');
+    const historyExport = document.getElementById('history-export');
+    const matchReportButton = document.getElementById('match-report');
+    const matchReportStatus = document.getElementById('match-report-status');
+    const scatterChartButton = document.getElementById('scatter-chart');
+    const watchlistBox = document.getElementById('watchlist');
+    const watchlistEmpty = document.getElementById('watchlist-empty');
+    const consensusRow = document.getElementById('consensus-row');
+    const consensusThresholdSelect = document.getElementById('consensus-threshold');
+    const fallbackGroup = document.getElementById('fallback-group');
+    const cacheHitRatioSelect = document.getElementById('cache-hit-ratio');
+    const promptSizeSelect = document.getElementById('prompt-size');
+    const pricingModeSelect = document.getElementById('pricing-mode');
+    const modeDiscountGroup = document.getElementById('mode-discount-group');
+    const modeDiscountSelect = document.getElementById('mode-discount');
+    const hostGroup = document.getElementById('host-group');
+    const freeVariantsSelect = document.getElementById('free-variants');
+    const hostBasisSelect = document.getElementById('openrouter-host');
+    const currencySelect = document.getElementById('currency');
+    const exchangeRateGroup = document.getElementById('exchange-rate-group');
+    const exchangeRateLabel = document.getElementById('exchange-rate-label');
+    const exchangeRateInput = document.getElementById('exchange-rate');
+    const exchangeRateRefresh = document.getElementById('exchange-rate-refresh');
+    const exchangeRateStatus = document.getElementById('exchange-rate-status');
+    const fallbackList = document.getElementById('fallback-list');
+    const customProviderGroup = document.getElementById('custom-provider');
+    const customProviderOption = document.getElementById('custom-provider-option');
+    const customStatus = document.getElementById('custom-status');
+    const customFields = {
+        name: document.getElementById('custom-name'),
+        url: document.getElementById('custom-url'),
+        listPath: document.getElementById('custom-list-path'),
+        idPath: document.getElementById('custom-id-path'),
+        inputPath: document.getElementById('custom-input-path'),
+        outputPath: document.getElementById('custom-output-path'),
+        unit: document.getElementById('custom-unit')
+    };
+    const overrideModelsList = document.getElementById('override-models');
+    const overrideVendorsList = document.getElementById('override-vendors');
+    const aliasList = document.getElementById('alias-list');
+    const aliasImportInput = document.getElementById('alias-import-file');
+    const aliasStatus = document.getElementById('alias-status');
+    const paretoModeSelect = document.getElementById('pareto-mode');
+    const bfbProfileSelect = document.getElementById('bfb-profile');
+    const bfbDeleteButton = document.getElementById('bfb-profile-delete');
+    const bfbFields = {
+        name: document.getElementById('bfb-name'),
+        baseline: document.getElementById('bfb-baseline'),
+        decay: document.getElementById('bfb-decay'),
+        inputWeight: document.getElementById('bfb-input-weight'),
+        curve: document.getElementById('bfb-curve')
+    };
+    const workloadFields = {
+        inputTokens: document.getElementById('workload-input'),
+        outputTokens: document.getElementById('workload-output'),
+        requestsPerDay: document.getElementById('workload-requests'),
+        cacheHitRatio: document.getElementById('workload-cache')
+    };
     const attributionDiv = document.getElementById('attribution');
     const pricingLabel = document.getElementById('pricing-label');
     const battleNotificationInput = document.getElementById('battle-notification');
@@ -88,18 +189,75 @@
     // ---- Load saved preferences ----
     async function loadPreferences() {
         try {
-            const result = await chrome.storage.sync.get([TOKEN_UNIT_KEY, PROVIDER_KEY, COLUMN_VISIBILITY_KEY, BATTLE_NOTIFICATION_KEY]);
+            const result = await chrome.storage.sync.get([TOKEN_UNIT_KEY, PROVIDER_KEY, COLUMN_VISIBILITY_KEY, BATTLE_NOTIFICATION_KEY, CACHE_TTL_KEY, CONSENSUS_THRESHOLD_KEY, FALLBACK_CHAIN_KEY, CACHE_HIT_RATIO_KEY, PROMPT_SIZE_KEY, PRICING_MODE_KEY, MODE_DISCOUNT_KEY, PRICE_OVERRIDES_KEY, CUSTOM_PROVIDER_KEY, HOST_BASIS_KEY, CURRENCY_KEY, EXCHANGE_RATES_KEY, HISTORY_RETENTION_KEY, WATCHLIST_KEY, FREE_VARIANTS_KEY, MODEL_ALIASES_KEY, BFB_PROFILES_KEY, WORKLOAD_KEY, PARETO_MODE_KEY]);
 
             const savedUnit = result[TOKEN_UNIT_KEY] || DEFAULT_TOKEN_UNIT;
             tokenUnitSelect.value = savedUnit.toString();
             updatePricingLabel(savedUnit);
 
+            customProvider = result[CUSTOM_PROVIDER_KEY] || null;
+            fillCustomProviderForm();
+
             const savedProvider = result[PROVIDER_KEY] || DEFAULT_PROVIDER;
             dataProviderSelect.value = savedProvider;
             updateAttribution(savedProvider);
+            updateCacheStatus(savedProvider);
+
+            const savedTtl = result[CACHE_TTL_KEY] ?? DEFAULT_CACHE_TTL;
+            cacheTtlSelect.value = savedTtl.toString();
+
+            historyRetentionSelect.value = (result[HISTORY_RETENTION_KEY] ?? DEFAULT_HISTORY_RETENTION).toString();
+
+            const savedThreshold = result[CONSENSUS_THRESHOLD_KEY] ?? DEFAULT_CONSENSUS_THRESHOLD;
+            consensusThresholdSelect.value = savedThreshold.toString();
+
+            fallbackChain = result[FALLBACK_CHAIN_KEY] || [...DEFAULT_FALLBACK_CHAIN];
+            renderFallbackList();
+
+            const savedHitRatio = result[CACHE_HIT_RATIO_KEY] ?? DEFAULT_CACHE_HIT_RATIO;
+            cacheHitRatioSelect.value = savedHitRatio.toString();
+
+            const savedPromptSize = result[PROMPT_SIZE_KEY] ?? DEFAULT_PROMPT_SIZE;
+            promptSizeSelect.value = savedPromptSize.toString();
+
+            pricingModeSelect.value = result[PRICING_MODE_KEY] || DEFAULT_PRICING_MODE;
+            modeDiscountSelect.value = (result[MODE_DISCOUNT_KEY] ?? DEFAULT_MODE_DISCOUNT).toString();
+            updateModeDiscountVisibility();
+
+            hostBasisSelect.value = result[HOST_BASIS_KEY] || DEFAULT_HOST_BASIS;
+            freeVariantsSelect.value = result[FREE_VARIANTS_KEY] || DEFAULT_FREE_VARIANTS;
+
+            exchangeRates = normalizeExchangeRates(result[EXCHANGE_RATES_KEY]);
+            currencySelect.value = result[CURRENCY_KEY] || DEFAULT_CURRENCY;
+            updateExchangeRate();
+
+            priceOverrides = {
+                models: result[PRICE_OVERRIDES_KEY]?.models || [],
+                vendors: result[PRICE_OVERRIDES_KEY]?.vendors || []
+            };
+            renderOverrides();
+
+            aliasRows = toAliasRows(result[MODEL_ALIASES_KEY]);
+            renderAliases();
+
+            bfbProfiles = {
+                active: result[BFB_PROFILES_KEY]?.active || DEFAULT_BFB_PROFILE.name,
+                profiles: result[BFB_PROFILES_KEY]?.profiles || []
+            };
+            renderBfbProfiles();
+            paretoModeSelect.value = result[PARETO_MODE_KEY] || DEFAULT_PARETO_MODE;
+
+            workload = { ...DEFAULT_WORKLOAD, ...result[WORKLOAD_KEY] };
+            renderWorkload();
+
+            watchlist = result[WATCHLIST_KEY] || {};
+            const localResult = await chrome.storage.local.get(WATCHLIST_SNAPSHOTS_KEY);
+            watchlistSnapshots = localResult[WATCHLIST_SNAPSHOTS_KEY] || {};
+            renderWatchlist();
 
             // Column visibility
-            const savedVisibility = result[COLUMN_VISIBILITY_KEY] || DEFAULT_COLUMN_VISIBILITY;
+            // Columns added since the visibility was saved start out visible
+            const savedVisibility = { ...DEFAULT_COLUMN_VISIBILITY, ...result[COLUMN_VISIBILITY_KEY] };
             columnItems.forEach(item => {
                 const input = item.querySelector('input[type="checkbox"]');
                 const cb = item.querySelector('.checkbox');
@@ -120,9 +278,700 @@
             console.warn('Failed to load preferences:', error);
             tokenUnitSelect.value = DEFAULT_TOKEN_UNIT.toString();
             dataProviderSelect.value = DEFAULT_PROVIDER;
+            cacheTtlSelect.value = DEFAULT_CACHE_TTL.toString();
+            historyRetentionSelect.value = DEFAULT_HISTORY_RETENTION.toString();
+        }
+    }
+
+    // ---- Provider fallback chain ----
+    // Enabled providers in the order they are tried; disabled ones are listed after them
+    let fallbackChain = [...DEFAULT_FALLBACK_CHAIN];
+
+    function renderFallbackList() {
+        const selected = dataProviderSelect.value;
+        const available = getAvailableProviders();
+        const ordered = [...fallbackChain, ...available.filter(p => !fallbackChain.includes(p))]
+            .filter(p => available.includes(p));
+        fallbackList.textContent = '';
+
+        ordered.forEach(provider => {
+            const enabled = fallbackChain.includes(provider);
+            const index = fallbackChain.indexOf(provider);
+
+            const item = document.createElement('div');
+            item.className = 'fallback-item';
+            // The selected provider is always tried first, so its slot in the chain is skipped
+            item.classList.toggle('fallback-item--selected', provider === selected);
+
+            const cb = document.createElement('div');
+            cb.className = 'checkbox';
+            cb.classList.toggle('checked', enabled);
+
+            const label = document.createElement('span');
+            label.className = 'column-label';
+            label.textContent = provider === selected ? `${getProviderName(provider)} (selected)` : getProviderName(provider);
+
+            const toggle = () => {
+                fallbackChain = enabled
+                    ? fallbackChain.filter(p => p !== provider)
+                    : [...fallbackChain, provider];
+                saveFallbackChain();
+            };
+            cb.addEventListener('click', toggle);
+            label.addEventListener('click', toggle);
+
+            const up = createMoveButton('▲', enabled && index > 0, () => moveFallback(index, -1));
+            const down = createMoveButton('▼', enabled && index < fallbackChain.length - 1, () => moveFallback(index, 1));
+
+            item.append(cb, label, up, down);
+            fallbackList.appendChild(item);
+        });
+    }
+
+    function createMoveButton(text, enabled, onClick) {
+        const button = document.createElement('button');
+        button.className = 'fallback-move';
+        button.textContent = text;
+        button.disabled = !enabled;
+        button.addEventListener('click', onClick);
+        return button;
+    }
+
+    function moveFallback(index, delta) {
+        const chain = [...fallbackChain];
+        [chain[index], chain[index + delta]] = [chain[index + delta], chain[index]];
+        fallbackChain = chain;
+        saveFallbackChain();
+    }
+
+    function saveFallbackChain() {
+        renderFallbackList();
+        savePreference(FALLBACK_CHAIN_KEY, fallbackChain, 'FALLBACK_CHAIN_CHANGED');
+    }
+
+    // ---- Currency ----
+    // { rates: { EUR: 0.86, ... }, origins: { EUR: { source: 'ecb' | 'manual', updatedAt }, ... } },
+    // layered over BUNDLED_EXCHANGE_RATES
+    let exchangeRates = { rates: {}, origins: {} };
+
+    function normalizeExchangeRates(stored) {
+        const rates = stored?.rates || {};
+        // Earlier versions kept a single source and date for every rate
+        const origins = stored?.origins || Object.fromEntries(Object.keys(rates).map(currency =>
+            [currency, { source: stored.source, updatedAt: stored.updatedAt }]));
+        return { rates, origins };
+    }
+
+    function updateExchangeRate() {
+        const currency = currencySelect.value;
+        exchangeRateGroup.style.visibility = currency === 'USD' ? 'hidden' : '';
+        exchangeRateLabel.textContent = `1 USD = ${currency}`;
+        exchangeRateInput.value = exchangeRates.rates[currency] ?? BUNDLED_EXCHANGE_RATES[currency];
+
+        if (currency === 'USD') {
+            exchangeRateStatus.textContent = '';
+        } else if (exchangeRates.rates[currency] === undefined) {
+            exchangeRateStatus.textContent = 'Approximate bundled rate. Refresh or enter your own.';
+        } else {
+            const origin = exchangeRates.origins[currency];
+            const date = new Date(origin?.updatedAt).toLocaleDateString();
+            exchangeRateStatus.textContent = origin?.source === 'ecb'
+                ? `ECB rate from ${date}`
+                : `Your rate, set ${date}`;
+        }
+    }
+
+    function getExchangeRate(currency) {
+        return exchangeRates.rates[currency] ?? BUNDLED_EXCHANGE_RATES[currency] ?? 1;
+    }
+
+    function saveExchangeRates() {
+        updateExchangeRate();
+        renderWatchlist();
+        savePreference(EXCHANGE_RATES_KEY, exchangeRates, 'EXCHANGE_RATES_CHANGED');
+    }
+
+    currencySelect.addEventListener('change', (e) => {
+        updateExchangeRate();
+        renderWatchlist();
+        savePreference(CURRENCY_KEY, e.target.value, 'CURRENCY_CHANGED');
+    });
+
+    exchangeRateInput.addEventListener('change', () => {
+        const rate = parseFloat(exchangeRateInput.value);
+        if (!Number.isFinite(rate) || rate <= 0) {
+            updateExchangeRate();
+            return;
+        }
+        exchangeRates = {
+            rates: { ...exchangeRates.rates, [currencySelect.value]: rate },
+            origins: { ...exchangeRates.origins, [currencySelect.value]: { source: 'manual', updatedAt: Date.now() } }
+        };
+        saveExchangeRates();
+    });
+
+    exchangeRateRefresh.addEventListener('click', async () => {
+        exchangeRateRefresh.disabled = true;
+        exchangeRateStatus.textContent = 'Fetching rates…';
+        try {
+            const granted = await chrome.permissions.request({ origins: [`${new URL(EXCHANGE_RATES_URL).origin}/*`] });
+            if (!granted) throw new Error('Permission not granted');
+            const response = await fetch(EXCHANGE_RATES_URL, { cache: 'no-store' });
+            if (!response.ok) throw new Error(`HTTP ${response.status}`);
+            const data = await response.json();
+            // Rates the user typed in for other currencies stay; the shown one is what they asked to refresh
+            const fetched = Object.keys(data.rates).filter(currency =>
+                currency === currencySelect.value || exchangeRates.origins[currency]?.source !== 'manual');
+            const origin = { source: 'ecb', updatedAt: Date.now() };
+            exchangeRates = {
+                rates: { ...exchangeRates.rates, ...Object.fromEntries(fetched.map(currency => [currency, data.rates[currency]])) },
+                origins: { ...exchangeRates.origins, ...Object.fromEntries(fetched.map(currency => [currency, origin])) }
+            };
+            saveExchangeRates();
+        } catch (error) {
+            console.warn('Failed to fetch exchange rates:', error);
+            exchangeRateStatus.textContent = 'Could not fetch rates';
+        }
+        exchangeRateRefresh.disabled = false;
+    });
+
+    // ---- Custom provider ----
+    // { name, url, listPath, idPath, inputPath, outputPath, unit }; the background worker fetches it
+    let customProvider = null;
+
+    // Providers with data of their own; consensus only combines them
+    function getAvailableProviders() {
+        const providers = Object.keys(PROVIDER_URLS);
+        return customProvider ? [...providers, 'custom'] : providers;
+    }
+
+    function getProviderName(provider) {
+        if (provider === 'custom') return customProvider?.name || 'Custom provider';
+        return PROVIDER_NAMES[provider];
+    }
+
+    function fillCustomProviderForm() {
+        for (const [field, input] of Object.entries(customFields)) {
+            input.value = customProvider?.[field] ?? (field === 'unit' ? '1' : '');
+        }
+        customProviderOption.textContent = customProvider ? customProvider.name : 'Custom…';
+    }
+
+    function readCustomProviderForm() {
+        const config = {};
+        for (const [field, input] of Object.entries(customFields)) {
+            config[field] = input.value.trim();
+        }
+        config.name = config.name || 'Custom provider';
+        config.unit = parseInt(config.unit, 10);
+        return config;
+    }
+
+    document.getElementById('custom-save').addEventListener('click', async () => {
+        const config = readCustomProviderForm();
+        let origin;
+        try {
+            origin = new URL(config.url).origin;
+        } catch (error) {
+            customStatus.textContent = 'Enter a valid URL';
+            return;
+        }
+        if (!config.inputPath || !config.outputPath) {
+            customStatus.textContent = 'Input and output price fields are required';
+            return;
+        }
+
+        // Only the three built-in providers are granted at install time
+        const granted = await chrome.permissions.request({ origins: [`${origin}/*`] }).catch(() => false);
+        if (!granted) {
+            customStatus.textContent = `Access to ${origin} was not granted`;
+            return;
+        }
+
+        customProvider = config;
+        fillCustomProviderForm();
+        renderFallbackList();
+        updateAttribution(dataProviderSelect.value);
+        customStatus.textContent = 'Loading…';
+        try {
+            await chrome.storage.sync.set({ [CUSTOM_PROVIDER_KEY]: config });
+            const status = await chrome.runtime.sendMessage({ type: 'REFRESH_PROVIDER_DATA', provider: 'custom' });
+            customStatus.textContent = status?.pricingFetchedAt
+                ? 'Loaded'
+                : 'No prices found. Check the URL and field paths';
+            if (dataProviderSelect.value === 'custom') showCacheStatus(status);
+        } catch (error) {
+            customStatus.textContent = 'Failed to load';
+        }
+    });
+
+    // ---- Custom price overrides ----
+    // Model rules: { pattern, input, output } in $ per 1M tokens (null keeps the list price)
+    // Vendor rules: { prefix, discount } in percent
+    let priceOverrides = { models: [], vendors: [] };
+
+    function renderOverrides() {
+        overrideModelsList.textContent = '';
+        priceOverrides.models.forEach((rule, index) => {
+            overrideModelsList.appendChild(createOverrideItem('models', index, [
+                createOverrideInput(rule.pattern, 'gpt-4o*', 'text', (value) => { rule.pattern = value; }),
+                createOverrideInput(rule.input, 'In $', 'number', (value) => { rule.input = parsePrice(value); }),
+                createOverrideInput(rule.output, 'Out $', 'number', (value) => { rule.output = parsePrice(value); })
+            ]));
+        });
+
+        overrideVendorsList.textContent = '';
+        priceOverrides.vendors.forEach((rule, index) => {
+            overrideVendorsList.appendChild(createOverrideItem('vendors', index, [
+                createOverrideInput(rule.prefix, 'anthropic/', 'text', (value) => { rule.prefix = value; }),
+                createOverrideInput(rule.discount, '% off', 'number', (value) => { rule.discount = parsePrice(value); })
+            ]));
+        });
+    }
+
+    function createOverrideItem(listKey, index, inputs) {
+        const item = document.createElement('div');
+        item.className = listKey === 'vendors' ? 'override-item override-item--vendor' : 'override-item';
+
+        const remove = document.createElement('button');
+        remove.className = 'override-remove';
+        remove.textContent = '✕';
+        remove.title = 'Remove';
+        remove.addEventListener('click', () => {
+            priceOverrides[listKey].splice(index, 1);
+            renderOverrides();
+            saveOverrides();
+        });
+
+        item.append(...inputs, remove);
+        return item;
+    }
+
+    function createOverrideInput(value, placeholder, type, onChange) {
+        const input = document.createElement('input');
+        input.type = type;
+        input.placeholder = placeholder;
+        input.value = value ?? '';
+        if (type === 'number') {
+            input.min = '0';
+            input.step = 'any';
+        }
+        input.addEventListener('change', () => {
+            onChange(input.value.trim());
+            saveOverrides();
+        });
+        return input;
+    }
+
+    function parsePrice(value) {
+        const number = parseFloat(value);
+        return Number.isFinite(number) && number >= 0 ? number : null;
+    }
+
+    // The background worker applies overrides and tells open tabs to re-resolve once it has them
+    async function saveOverrides() {
+        try {
+            await chrome.storage.sync.set({ [PRICE_OVERRIDES_KEY]: priceOverrides });
+        } catch (error) {
+            console.warn('Failed to save price overrides:', error);
+        }
+    }
+
+    document.getElementById('override-add-model').addEventListener('click', () => {
+        priceOverrides.models.push({ pattern: '', input: null, output: null });
+        renderOverrides();
+        overrideModelsList.lastChild.querySelector('input').focus();
+    });
+
+    document.getElementById('override-add-vendor').addEventListener('click', () => {
+        priceOverrides.vendors.push({ prefix: '', discount: null });
+        renderOverrides();
+        overrideVendorsList.lastChild.querySelector('input').focus();
+    });
+
+    // ---- Bang for Buck profiles ----
+    // { active, profiles: [{ name, baseline, decay, inputWeight, curve }] }; the
+    // built-in DEFAULT_BFB_PROFILE (shared.js) is always listed first and can't be edited
+    let bfbProfiles = { active: DEFAULT_BFB_PROFILE.name, profiles: [] };
+
+    function getEditableProfile() {
+        return bfbProfiles.profiles.find(profile => profile.name === bfbProfiles.active) || null;
+    }
+
+    function renderBfbProfiles() {
+        bfbProfileSelect.textContent = '';
+        for (const profile of [DEFAULT_BFB_PROFILE, ...bfbProfiles.profiles]) {
+            bfbProfileSelect.add(new Option(profile.name, profile.name, false, profile.name === bfbProfiles.active));
+        }
+
+        const editable = getEditableProfile();
+        const shown = { ...DEFAULT_BFB_PROFILE, ...editable };
+        bfbFields.name.value = shown.name;
+        bfbFields.baseline.value = shown.baseline;
+        bfbFields.decay.value = shown.decay;
+        bfbFields.inputWeight.value = Math.round(shown.inputWeight * 100);
+        bfbFields.curve.value = shown.curve;
+        for (const field of Object.values(bfbFields)) field.disabled = !editable;
+        bfbDeleteButton.disabled = !editable;
+    }
+
+    function saveBfbProfiles() {
+        savePreference(BFB_PROFILES_KEY, bfbProfiles, 'BFB_PROFILES_CHANGED');
+    }
+
+    function isProfileNameTaken(name) {
+        return name === DEFAULT_BFB_PROFILE.name || bfbProfiles.profiles.some(profile => profile.name === name);
+    }
+
+    bfbProfileSelect.addEventListener('change', (e) => {
+        bfbProfiles.active = e.target.value;
+        renderBfbProfiles();
+        saveBfbProfiles();
+    });
+
+    // New profiles start as a copy of the one currently shown
+    document.getElementById('bfb-profile-new').addEventListener('click', () => {
+        let number = bfbProfiles.profiles.length + 1;
+        while (isProfileNameTaken(`Profile ${number}`)) number++;
+        const { name, ...settings } = { ...DEFAULT_BFB_PROFILE, ...getEditableProfile() };
+        bfbProfiles.profiles.push({ name: `Profile ${number}`, ...settings });
+        bfbProfiles.active = `Profile ${number}`;
+        renderBfbProfiles();
+        saveBfbProfiles();
+        bfbFields.name.select();
+    });
+
+    bfbDeleteButton.addEventListener('click', () => {
+        bfbProfiles.profiles = bfbProfiles.profiles.filter(profile => profile.name !== bfbProfiles.active);
+        bfbProfiles.active = DEFAULT_BFB_PROFILE.name;
+        renderBfbProfiles();
+        saveBfbProfiles();
+    });
+
+    // Invalid values are dropped and the field shows the previous one again
+    const BFB_FIELD_PARSERS = {
+        name: (value) => (value && !isProfileNameTaken(value) ? value : null),
+        baseline: (value) => {
+            const number = parseFloat(value);
+            return Number.isFinite(number) ? number : null;
+        },
+        decay: (value) => {
+            const number = parseFloat(value);
+            return number > 0 && number <= 1 ? number : null;
+        },
+        inputWeight: (value) => {
+            const number = parseFloat(value);
+            return number >= 0 && number <= 100 ? number / 100 : null;
+        },
+        curve: (value) => value
+    };
+
+    for (const [field, input] of Object.entries(bfbFields)) {
+        input.addEventListener('change', () => {
+            const profile = getEditableProfile();
+            const value = BFB_FIELD_PARSERS[field](input.value.trim());
+            if (profile && value !== null) {
+                profile[field] = value;
+                if (field === 'name') bfbProfiles.active = value;
+                saveBfbProfiles();
+            }
+            renderBfbProfiles();
+        });
+    }
+
+    // ---- Monthly cost workload ----
+    let workload = { ...DEFAULT_WORKLOAD };
+
+    function renderWorkload() {
+        for (const [field, input] of Object.entries(workloadFields)) {
+            input.value = workload[field] ?? '';
+        }
+    }
+
+    // Token and request counts must be whole and non-negative; the cache share
+    // may be left blank to follow the Pricing section's Cache hits setting
+    function parseWorkloadField(field, value) {
+        if (field === 'cacheHitRatio' && value === '') return null;
+        const number = Math.round(parseFloat(value));
+        if (!Number.isFinite(number) || number < 0) return undefined;
+        return field === 'cacheHitRatio' ? Math.min(number, 100) : number;
+    }
+
+    for (const [field, input] of Object.entries(workloadFields)) {
+        input.addEventListener('change', () => {
+            const value = parseWorkloadField(field, input.value.trim());
+            if (value !== undefined) {
+                workload[field] = value;
+                savePreference(WORKLOAD_KEY, workload, 'WORKLOAD_CHANGED');
+            }
+            renderWorkload();
+        });
+    }
+
+    // ---- Model aliases ----
+    // Stored as { arenaName: [providerModelId, ...] }; edited as one row per id.
+    // Files use the same object under an "aliases" key, like the bundled aliases.json
+    let aliasRows = [];
+
+    function toAliasRows(value) {
+        const rows = [];
+        for (const [name, ids] of Object.entries(value || {})) {
+            for (const id of Array.isArray(ids) ? ids : [ids]) {
+                if (typeof id === 'string') rows.push({ name, id });
+            }
+        }
+        return rows;
+    }
+
+    // Rows missing either side are kept in the list but not saved
+    function fromAliasRows(rows) {
+        const aliases = {};
+        for (const { name, id } of rows) {
+            if (!name || !id) continue;
+            aliases[name] = aliases[name] || [];
+            if (!aliases[name].includes(id)) aliases[name].push(id);
         }
+        return aliases;
     }
 
+    function renderAliases() {
+        aliasList.textContent = '';
+        aliasRows.forEach((row, index) => {
+            const item = document.createElement('div');
+            item.className = 'override-item override-item--alias';
+
+            const inputs = [['name', 'Arena model name'], ['id', 'Provider model id']].map(([field, placeholder]) => {
+                const input = document.createElement('input');
+                input.type = 'text';
+                input.placeholder = placeholder;
+                input.value = row[field];
+                input.addEventListener('change', () => {
+                    row[field] = input.value.trim();
+                    saveAliases();
+                });
+                return input;
+            });
+
+            const remove = document.createElement('button');
+            remove.className = 'override-remove';
+            remove.textContent = '✕';
+            remove.title = 'Remove';
+            remove.addEventListener('click', () => {
+                aliasRows.splice(index, 1);
+                renderAliases();
+                saveAliases();
+            });
+
+            item.append(...inputs, remove);
+            aliasList.appendChild(item);
+        });
+    }
+
+    // The background worker re-matches and tells open tabs to re-resolve
+    async function saveAliases() {
+        try {
+            await chrome.storage.sync.set({ [MODEL_ALIASES_KEY]: fromAliasRows(aliasRows) });
+            return true;
+        } catch (error) {
+            console.warn('Failed to save model aliases:', error);
+            aliasStatus.textContent = 'Failed to save (too many aliases to sync?)';
+            return false;
+        }
+    }
+
+    document.getElementById('alias-add').addEventListener('click', () => {
+        aliasRows.push({ name: '', id: '' });
+        renderAliases();
+        aliasList.lastChild.querySelector('input').focus();
+    });
+
+    document.getElementById('alias-export').addEventListener('click', () => {
+        const json = JSON.stringify({ aliases: fromAliasRows(aliasRows) }, null, 2);
+        const url = URL.createObjectURL(new Blob([json], { type: 'application/json' }));
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = 'arena-plus-aliases.json';
+        link.click();
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+    });
+
+    document.getElementById('alias-import').addEventListener('click', () => aliasImportInput.click());
+
+    // Imported aliases are added to the existing ones; duplicates are skipped
+    aliasImportInput.addEventListener('change', async () => {
+        const file = aliasImportInput.files[0];
+        aliasImportInput.value = '';
+        if (!file) return;
+
+        let imported;
+        try {
+            const parsed = JSON.parse(await file.text());
+            imported = toAliasRows(parsed?.aliases ?? parsed)
+                .map(({ name, id }) => ({ name: name.trim(), id: id.trim() }))
+                .filter(({ name, id }) => name && id);
+        } catch (error) {
+            aliasStatus.textContent = 'Not a valid alias file';
+            return;
+        }
+
+        const seen = new Set(aliasRows.map(({ name, id }) => `${name}\n${id}`));
+        const added = [];
+        for (const row of imported) {
+            const key = `${row.name}\n${row.id}`;
+            if (seen.has(key)) continue;
+            seen.add(key);
+            added.push(row);
+        }
+        aliasRows.push(...added);
+        renderAliases();
+        if (await saveAliases()) {
+            aliasStatus.textContent = `Imported ${added.length} alias${added.length === 1 ? '' : 'es'}`;
+        }
+    });
+
+    // ---- Watchlist ----
+    // Starred from the Pricing column (synced); the snapshots of the values last
+    // seen on arena.ai are kept in local storage by the content script
+    let watchlist = {};
+    let watchlistSnapshots = {};
+
+    function renderWatchlist() {
+        watchlistBox.textContent = '';
+        const modelNames = Object.keys(watchlist).sort();
+        watchlistEmpty.hidden = modelNames.length > 0;
+
+        for (const modelName of modelNames) {
+            // Entries from earlier versions still carry their snapshot
+            const entry = watchlistSnapshots[modelName] || watchlist[modelName];
+            const item = document.createElement('div');
+            item.className = 'watchlist-item';
+
+            const name = document.createElement('span');
+            name.className = 'watchlist-name';
+            name.textContent = modelName;
+
+            const price = document.createElement('span');
+            price.className = 'watchlist-value';
+            // Media-only pricing has no per-token rates
+            const hasPrice = entry.price && (entry.price.input != null || entry.price.output != null);
+            price.textContent = hasPrice
+                ? `${formatWatchPrice(entry.price.input)} / ${formatWatchPrice(entry.price.output)}`
+                : 'No price';
+            price.title = hasPrice ? `Per 1M input / output tokens (${getProviderName(entry.price.provider)})` : '';
+
+            const standings = document.createElement('span');
+            standings.className = 'watchlist-standings';
+            standings.textContent = Object.entries(entry.boards || {})
+                .map(([board, standing]) => `${board} #${standing.rank}${standing.score !== null ? ` · ${standing.score}` : ''}`)
+                .join(', ') || 'Not seen on a leaderboard yet';
+
+            const remove = document.createElement('button');
+            remove.className = 'override-remove';
+            remove.textContent = '✕';
+            remove.title = 'Stop watching';
+            remove.addEventListener('click', () => {
+                delete watchlist[modelName];
+                delete watchlistSnapshots[modelName];
+                renderWatchlist();
+                savePreference(WATCHLIST_KEY, watchlist, 'WATCHLIST_CHANGED');
+                chrome.storage.local.set({ [WATCHLIST_SNAPSHOTS_KEY]: watchlistSnapshots });
+            });
+
+            item.append(name, price, remove, standings);
+            watchlistBox.appendChild(item);
+        }
+    }
+
+    // A USD price in the selected currency, like the Pricing column shows it
+    function formatWatchPrice(costUsd) {
+        if (costUsd == null) return '—';
+        const currency = currencySelect.value;
+        const amount = costUsd * getExchangeRate(currency);
+        const digits = amount !== 0 && Math.abs(amount) < 0.1
+            ? { maximumSignificantDigits: 3 }
+            : { minimumFractionDigits: 2, maximumFractionDigits: 2 };
+        return new Intl.NumberFormat(undefined, { style: 'currency', currency, ...digits }).format(amount);
+    }
+
+    // ---- Cache status ----
+    function formatAge(ms) {
+        const minutes = Math.floor(ms / 60000);
+        if (minutes < 1) return 'Just now';
+        if (minutes < 60) return `${minutes} min ago`;
+        const hours = Math.floor(minutes / 60);
+        if (hours < 24) return `${hours} h ago`;
+        const days = Math.floor(hours / 24);
+        return days === 1 ? '1 day ago' : `${days} days ago`;
+    }
+
+    function showCacheStatus(status) {
+        const fetchedAt = status?.pricingFetchedAt;
+        cacheStatus.textContent = fetchedAt ? formatAge(Date.now() - fetchedAt) : 'Never';
+    }
+
+    // Provider data lives in the background worker, shared with every arena.ai tab
+    async function updateCacheStatus(provider) {
+        try {
+            showCacheStatus(await chrome.runtime.sendMessage({ type: 'GET_PROVIDER_STATUS', provider }));
+        } catch (error) {
+            cacheStatus.textContent = 'Unknown';
+        }
+    }
+
+    cacheStatus.addEventListener('click', async () => {
+        cacheStatus.disabled = true;
+        cacheStatus.textContent = 'Refreshing…';
+        try {
+            showCacheStatus(await chrome.runtime.sendMessage({
+                type: 'REFRESH_PROVIDER_DATA',
+                provider: dataProviderSelect.value
+            }));
+        } catch (error) {
+            cacheStatus.textContent = 'Failed';
+        }
+        cacheStatus.disabled = false;
+    });
+
+    // ---- Price history ----
+    // Snapshots are kept by the background worker; only the retention is synced
+    historyRetentionSelect.addEventListener('change', (e) => {
+        chrome.storage.sync.set({ [HISTORY_RETENTION_KEY]: parseInt(e.target.value, 10) });
+    });
+
+    historyExport.addEventListener('click', async () => {
+        historyExport.disabled = true;
+        try {
+            const { csv } = await chrome.runtime.sendMessage({ type: 'EXPORT_PRICE_HISTORY' });
+            const url = URL.createObjectURL(new Blob([csv], { type: 'text/csv' }));
+            const link = document.createElement('a');
+            link.href = url;
+            link.download = `arena-plus-price-history-${new Date().toISOString().slice(0, 10)}.csv`;
+            link.click();
+            setTimeout(() => URL.revokeObjectURL(url), 1000);
+            historyExport.textContent = 'Export CSV';
+        } catch (error) {
+            historyExport.textContent = 'Failed';
+        }
+        historyExport.disabled = false;
+    });
+
+    // ---- Match report ----
+    // The report is rendered in the leaderboard tab, which knows the model names
+    // Both panels live in the leaderboard page, so they go to the active Arena.ai tab
+    async function sendToArenaTab(type) {
+        const [tab] = await chrome.tabs.query({ active: true, currentWindow: true, url: 'https://arena.ai/*' });
+        try {
+            if (!tab) throw new Error('No Arena.ai tab');
+            await chrome.tabs.sendMessage(tab.id, { type });
+            window.close();
+        } catch (error) {
+            matchReportStatus.textContent = 'Open an Arena.ai leaderboard first';
+        }
+    }
+
+    matchReportButton.addEventListener('click', () => sendToArenaTab('SHOW_MATCH_REPORT'));
+    scatterChartButton.addEventListener('click', () => sendToArenaTab('TOGGLE_SCATTER_CHART'));
+
     // ---- Notification hint ----
     function updateNotificationHint() {
         if (!('Notification' in window)) {
@@ -142,21 +991,25 @@
     // ---- Attribution ----
     function updateAttribution(provider) {
         attributionDiv.textContent = 'All data is provided by ';
+        consensusRow.hidden = provider !== 'consensus';
+        fallbackGroup.hidden = provider === 'consensus';
+        customProviderGroup.hidden = provider !== 'custom';
+        // Host offerings only exist for OpenRouter (selected or as a fallback)
+        hostGroup.hidden = provider === 'consensus';
 
-        const openRouterLink = document.createElement('a');
-        openRouterLink.href = PROVIDER_URLS.openrouter;
-        openRouterLink.target = '_blank';
-        openRouterLink.textContent = 'OpenRouter';
-        attributionDiv.appendChild(openRouterLink);
+        // OpenRouter always supplies context data; consensus mode credits every provider
+        const sources = provider === 'consensus'
+            ? Object.keys(PROVIDER_URLS)
+            : ['openrouter', provider].filter((p, i, all) => all.indexOf(p) === i);
 
-        if (provider !== 'openrouter') {
-            attributionDiv.appendChild(document.createTextNode(', '));
-            const secondaryLink = document.createElement('a');
-            secondaryLink.href = PROVIDER_URLS[provider];
-            secondaryLink.target = '_blank';
-            secondaryLink.textContent = provider === 'litellm' ? 'LiteLLM' : 'Helicone';
-            attributionDiv.appendChild(secondaryLink);
-        }
+        sources.forEach((source, i) => {
+            if (i > 0) attributionDiv.appendChild(document.createTextNode(', '));
+            const link = document.createElement('a');
+            link.href = source === 'custom' ? customProvider?.url || '#' : PROVIDER_URLS[source];
+            link.target = '_blank';
+            link.textContent = getProviderName(source);
+            attributionDiv.appendChild(link);
+        });
     }
 
     // ---- Column visibility state ----
@@ -192,9 +1045,55 @@
         savePreference(TOKEN_UNIT_KEY, unit, 'TOKEN_UNIT_CHANGED');
     });
 
+    // The fallback discount only matters for batch/flex
+    function updateModeDiscountVisibility() {
+        modeDiscountGroup.style.visibility = pricingModeSelect.value === 'on-demand' ? 'hidden' : '';
+    }
+
+    pricingModeSelect.addEventListener('change', (e) => {
+        updateModeDiscountVisibility();
+        savePreference(PRICING_MODE_KEY, e.target.value, 'PRICING_MODE_CHANGED');
+    });
+
+    // Matching happens in the background worker, which re-resolves open tabs when this changes
+    freeVariantsSelect.addEventListener('change', (e) => {
+        chrome.storage.sync.set({ [FREE_VARIANTS_KEY]: e.target.value });
+    });
+
+    hostBasisSelect.addEventListener('change', (e) => {
+        savePreference(HOST_BASIS_KEY, e.target.value, 'HOST_BASIS_CHANGED');
+    });
+
+    modeDiscountSelect.addEventListener('change', (e) => {
+        savePreference(MODE_DISCOUNT_KEY, parseInt(e.target.value, 10), 'MODE_DISCOUNT_CHANGED');
+    });
+
+    promptSizeSelect.addEventListener('change', (e) => {
+        savePreference(PROMPT_SIZE_KEY, parseInt(e.target.value, 10), 'PROMPT_SIZE_CHANGED');
+    });
+
+    paretoModeSelect.addEventListener('change', (e) => {
+        savePreference(PARETO_MODE_KEY, e.target.value, 'PARETO_MODE_CHANGED');
+    });
+
+    cacheHitRatioSelect.addEventListener('change', (e) => {
+        savePreference(CACHE_HIT_RATIO_KEY, parseInt(e.target.value, 10), 'CACHE_HIT_RATIO_CHANGED');
+    });
+
+    consensusThresholdSelect.addEventListener('change', (e) => {
+        savePreference(CONSENSUS_THRESHOLD_KEY, parseInt(e.target.value, 10), 'CONSENSUS_THRESHOLD_CHANGED');
+    });
+
+    // Only the background worker's cache uses this; it reads the change from storage
+    cacheTtlSelect.addEventListener('change', (e) => {
+        chrome.storage.sync.set({ [CACHE_TTL_KEY]: parseInt(e.target.value, 10) });
+    });
+
     dataProviderSelect.addEventListener('change', async (e) => {
         const provider = e.target.value;
         updateAttribution(provider);
+        updateCacheStatus(provider);
+        renderFallbackList();
         await chrome.storage.sync.set({ [PROVIDER_KEY]: provider });
         const tabs = await chrome.tabs.query({ url: 'https://arena.ai/*' });
         for (const tab of tabs) {
@@ -15,15 +15,19 @@
 const COLUMN_TOOLTIPS = {
     pricing: {
         title: 'Pricing',
-        description: 'Cost per token to use this model. Shows combined input + output cost, with breakdown on hover.'
+        description: 'Cost per token to use this model. Shows combined input + output cost, with breakdown on hover. Click a price to pick the provider model it should be matched to.'
     },
     'bang-for-buck': {
         title: 'Bang for Buck',
         description: 'Measures how much intelligence you get for your money. Balances Arena Score against price, with a bonus for top-ranked models. Higher values = better value.'
     },
+    'monthly-cost': {
+        title: 'Est. Monthly Cost',
+        description: 'What your workload (tokens per request and requests per day, set in the extension popup) would cost per month on this model. Hover a value for the per-request and per-day breakdown.'
+    },
     'context-window': {
         title: 'Context Size',
-        description: 'Maximum tokens the model can process. Larger context = longer conversations or documents.'
+        description: 'Maximum tokens the model can process. Larger context = longer conversations or documents. Click a value to fix its OpenRouter match.'
     },
     modalities: {
         title: 'Modalities',
@@ -41,9 +45,44 @@ const COLUMN_TOOLTIPS = {
 
 // Aliases for internal keys used in content.js
 COLUMN_TOOLTIPS.bfb = COLUMN_TOOLTIPS['bang-for-buck'];
+COLUMN_TOOLTIPS.cost = COLUMN_TOOLTIPS['monthly-cost'];
 COLUMN_TOOLTIPS.ctx = COLUMN_TOOLTIPS['context-window'];
 COLUMN_TOOLTIPS.mod = COLUMN_TOOLTIPS.modalities;
 COLUMN_TOOLTIPS.age = COLUMN_TOOLTIPS['model-age'];
 
+// Built-in Bang for Buck scoring profile. Users can save variants of it in
+// the popup; the content script scores with whichever one is active.
+const DEFAULT_BFB_PROFILE = {
+    name: 'Default',
+    baseline: 1000, // Arena Score that counts as no intelligence at all
+    // Each rank keeps this share of the previous rank's score; 1 = no rank penalty
+    decay: 0.88,
+    inputWeight: 0.5, // Share of input tokens in the blended price
+    curve: 'log' // 'log' compresses price differences, 'linear' divides by the price
+};
+
+// Workload priced by the Est. Monthly Cost column until the user sets their own
+const DEFAULT_WORKLOAD = {
+    inputTokens: 2000, // Per request
+    outputTokens: 500,
+    requestsPerDay: 1000,
+    cacheHitRatio: null // % of input read from cache; null = use the Pricing setting
+};
+
 // Battle notification settings
 const BATTLE_NOTIFICATION_KEY = 'lmarena-battle-notification';
+
+// Prices are fetched in USD and converted for display only.
+// Approximate units per 1 USD; the popup can refresh them from the ECB
+// (via frankfurter.app) or take the user's own rate.
+const BUNDLED_EXCHANGE_RATES = {
+    USD: 1,
+    EUR: 0.86,
+    GBP: 0.75,
+    JPY: 150,
+    CNY: 7.1,
+    CAD: 1.39,
+    AUD: 1.53,
+    CHF: 0.80,
+    INR: 88
+};